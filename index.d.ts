@@ -4,12 +4,43 @@
  * Version: 2.1.0
  */
 
+declare global {
+  /** Disposal symbols (explicit resource management), also declared by lib.esnext.disposable */
+  interface SymbolConstructor {
+    readonly dispose: unique symbol;
+    readonly asyncDispose: unique symbol;
+  }
+}
+
 /** Service lifecycle types */
-export type Lifecycle = 'singleton' | 'transient' | 'scoped' | 'value';
+export type Lifecycle = 'singleton' | 'transient' | 'scoped' | 'value' | 'pooled';
 
 /** Decorator function type */
 export type DecoratorFunction = (serviceInstance: any) => any;
 
+/** Call context passed to interceptors */
+export interface InterceptContext<T = any> {
+  /** Name of the intercepted service */
+  service: string;
+  /** Name of the called method */
+  method: string;
+  /** Arguments of the call */
+  args: any[];
+  /** The decorated instance the method is called on */
+  instance: T;
+  /** Run the next interceptor, then the method; defaults to the current args */
+  proceed(args?: any[]): any;
+}
+
+/** Method interceptor added with intercept(); returns the result of the call */
+export type Interceptor<T = any> = (context: InterceptContext<T>) => any;
+
+/** Options for intercept() */
+export interface InterceptOptions {
+  /** Method names or patterns to intercept, all methods when omitted */
+  methods?: Array<string | RegExp>;
+}
+
 /** Service configuration for batch registration */
 export interface ServiceConfig {
   /** Service class/function */
@@ -72,7 +103,7 @@ export interface SDIOptions {
   strictMode?: boolean;
   /** Allow service overrides globally */
   allowOverrides?: boolean;
-  /** Maximum number of services that can be registered */
+  /** Maximum number of registrations, each asMany() and withKey() entry counted */
   maxServices?: number;
   /** Maximum number of singleton instances to cache */
   maxInstances?: number;
@@ -80,6 +111,89 @@ export interface SDIOptions {
   maxScopes?: number;
   /** Maximum number of hooks per event type */
   maxHooks?: number;
+  /** How to handle a longer-lived service capturing a shorter-lived one (default: 'warn') */
+  lifetimeValidation?: 'error' | 'warn' | 'off';
+  /** Also report transient dependencies of singletons and scoped services as captives (default: false) */
+  transientCaptives?: boolean;
+}
+
+/** Options for listing services of child containers */
+export interface InheritanceOptions {
+  /** Include services registered in parent containers (default: false) */
+  includeInherited?: boolean;
+}
+
+/** Service identifier: a name, a symbol or the class constructor itself */
+export type ServiceToken<T = any> = string | symbol | Constructor<T>;
+
+/** Key of a withKey() registration */
+export type ServiceKey = string | number | boolean | bigint | symbol | null;
+
+/** Options for asPooled() */
+export interface PoolOptions {
+  /** Instances created on the first acquire() and kept when idle ones are evicted (default: 0) */
+  min?: number;
+  /** Maximum instances alive at once (default: 10) */
+  max?: number;
+  /** Evict instances idle this long, Infinity keeps them (default: 30000) */
+  idleTimeoutMs?: number;
+  /** Fail acquire() after waiting this long, Infinity waits forever (default: 5000) */
+  acquireTimeoutMs?: number;
+}
+
+/** Usage statistics returned by container.getPoolStats() */
+export interface PoolStats {
+  /** Instances alive, including ones being created */
+  size: number;
+  /** Idle instances ready to be acquired */
+  available: number;
+  /** Instances currently borrowed */
+  inUse: number;
+  /** acquire() calls waiting for a release */
+  waiters: number;
+  min: number;
+  max: number;
+}
+
+/** Instance borrowed with acquire() */
+export interface PooledInstance<T = any> {
+  instance: T;
+  /** Hand the instance back to its pool; calling it again does nothing */
+  release(): void;
+}
+
+/** Options for container.createScope() */
+export interface ScopeOptions {
+  /** Dispose the scope this long after creation */
+  ttlMs?: number;
+  /** Dispose the scope this long after the last resolution */
+  idleMs?: number;
+  /** Level matched by asScoped(level) services (default: the scope name) */
+  level?: string;
+}
+
+/** Options for container.start() */
+export interface StartOptions {
+  /** Fail if startup takes longer, Infinity waits forever (default: 30000) */
+  timeoutMs?: number;
+}
+
+/** Report returned by container.start() */
+export interface StartupReport {
+  /** Total startup time in milliseconds */
+  durationMs: number;
+  /** Eager services in startup order with the time each took */
+  services: Array<{ name: string; durationMs: number }>;
+}
+
+/** Options for container.enableShutdownHooks() */
+export interface ShutdownHookOptions {
+  /** Signals to listen for (default: ['SIGTERM', 'SIGINT']) */
+  signals?: string[];
+  /** Fail the shutdown if disposal takes longer, Infinity waits forever (default: 10000) */
+  timeoutMs?: number;
+  /** Exit code after a clean shutdown; failures exit with 1 (default: 0) */
+  exitCode?: number;
 }
 
 /** Internal service registration metadata */
@@ -92,12 +206,143 @@ export interface ServiceRegistration<T = any> {
   factory: boolean;
   /** Set of tags associated with this service */
   tags: ReadonlySet<string>;
-  /** Unique service name */
+  /** Service name, or a readable label for symbol and class tokens */
   name: string;
+  /** Token the service is registered under */
+  token: ServiceToken;
   /** Decorators associated with this service */
   decorators?: string[];
   /** Custom decorators associated with this service */
   customDecorators?: DecoratorFunction[];
+  /** Decorator name or function -> priority and condition */
+  decoratorOptions?: Map<string | DecoratorFunction, { priority: number; when: DecoratorOptions['when'] | null }>;
+  /** Dependency names declared with dependsOn(), null when parsed from the implementation */
+  dependencies?: string[] | null;
+  /** Dependency names that resolve to undefined when not registered */
+  optional?: Set<string>;
+  /** Dependency names injected as proxies resolved on first use */
+  lazy?: Set<string>;
+  /** Dependency name -> key, for dependencies injected from keyed registrations */
+  keyed?: Map<string, ServiceKey>;
+  /** Registration key set with withKey(), undefined for plain registrations */
+  key?: ServiceKey;
+  /** Pool options set with asPooled(), null for other lifecycles */
+  pool?: Required<PoolOptions> | null;
+  /** Resolved and initialized by container.start() */
+  eager?: boolean;
+  /** Scope level set with asScoped(level), null to use the current scope */
+  scopeLevel?: string | null;
+  /** Interceptors added with intercept(), outermost first */
+  interceptors?: Array<{ interceptor: Interceptor<T>; methods: Array<string | RegExp> | null }>;
+  /** Scope a Scope#register() or Scope#value() registration belongs to, null for container registrations */
+  ownerScope?: Scope | null;
+  /** Key instances are cached under: the token, or for further asMany() entries and keyed ones an object unique to the registration whose string form is name#index or name[key] */
+  cacheKey?: ServiceToken | { readonly label: string };
+}
+
+/** Report returned by container.validate() */
+export interface ValidationReport {
+  /** True when no problem was found (unanalyzed services do not count) */
+  valid: boolean;
+  /** Dependencies that are not registered */
+  missing: Array<{ service: string; dependency: string }>;
+  /** Dependency cycles, first name repeated at the end */
+  cycles: string[][];
+  /** Longer-lived services depending on shorter-lived ones */
+  captive: Array<{ service: string; dependency: string; chain: string }>;
+  /** Decorator services named in decorateWith() that are not registered */
+  unknownDecorators: Array<{ service: string; decorator: string }>;
+  /** Required tags carried by no service */
+  emptyTags: string[];
+  /** Services whose dependencies could not be determined */
+  unanalyzed: string[];
+}
+
+/** Node of the graph returned by container.toGraph() */
+export interface GraphNode {
+  /** Service name, or the cache key for registrations sharing a name */
+  name: string;
+  /** Null for dependencies that are not registered */
+  lifecycle: Lifecycle | null;
+  tags: string[];
+  decorators: string[];
+  /** Present when the dependency is not registered */
+  missing?: true;
+}
+
+/** Edge of the graph returned by container.toGraph() */
+export interface GraphEdge {
+  from: string;
+  to: string;
+  /** True when the dependency was accessed during a resolution */
+  observed: boolean;
+  /** True when the edge takes part in a cycle */
+  cycle: boolean;
+}
+
+/** Graph returned by container.toGraph({ format: 'json' }) */
+export interface ServiceGraph {
+  nodes: GraphNode[];
+  edges: GraphEdge[];
+  /** Dependency cycles, first name repeated at the end */
+  cycles: string[][];
+}
+
+/** Options for container.toGraph() */
+export interface GraphOptions {
+  /** Output format (default: 'json') */
+  format?: 'dot' | 'mermaid' | 'json';
+  /** Only include services matching these tags */
+  tags?: string[];
+  /** Tag matching mode (default: 'AND') */
+  mode?: 'AND' | 'OR';
+}
+
+/** Services matched by container.decorateAll() */
+export type DecorateAllSelector =
+  | { tags: string[]; mode?: 'AND' | 'OR' }
+  | ((service: ServiceRegistration) => boolean);
+
+/** Ordering and condition of a decorator */
+export interface DecoratorOptions {
+  /** Decorators with a higher priority are applied first (default: 0) */
+  priority?: number;
+  /** Apply only while this returns true; receives the container's services like a factory */
+  when?: (dependencies: any) => boolean;
+}
+
+/** Options for container.decorateAll() */
+export interface DecorateAllOptions extends DecoratorOptions {
+  /** Services left undecorated */
+  exclude?: ServiceToken[];
+}
+
+/** Entry of a service's decorator chain, as reported by container.describe() */
+export interface DecoratorDescription {
+  /** Decorator service name, or the function's name (custom#index when anonymous) */
+  name: string;
+  /** Decorator service or decorator function */
+  type: 'service' | 'function';
+  /** Added on the registration or by container.decorateAll() */
+  source: 'service' | 'global';
+  priority: number;
+  /** Whether the decorator's condition currently holds */
+  active: boolean;
+}
+
+/** Registration summary returned by container.describe() */
+export interface ServiceDescription {
+  name: string;
+  lifecycle: Lifecycle;
+  tags: string[];
+  /** Declared or parsed dependency names, null when they cannot be determined */
+  dependencies: string[] | null;
+  /** Decorator chain in the order it is applied */
+  decorators: DecoratorDescription[];
+  /** Number of interceptors added with intercept() */
+  interceptors: number;
+  /** Registered in a parent container */
+  inherited: boolean;
 }
 
 /** Data passed to lifecycle hooks */
@@ -112,8 +357,14 @@ export interface HookData {
   name?: string;
   /** Scope name being used */
   scopeName?: string;
+  /** Runtime arguments passed to resolveWith() */
+  args?: Record<PropertyKey, any>;
   /** Resolution result */
   result?: any;
+  /** Error thrown while disposing an instance (disposeError hooks) */
+  error?: unknown;
+  /** Why a scope expired (scopeExpired hooks) */
+  reason?: 'ttl' | 'idle';
 }
 
 /** Lifecycle hook callback function */
@@ -151,7 +402,7 @@ export declare class SDI {
    * @param name Optional service name (auto-inferred if not provided)
    * @returns ServiceBuilder for fluent configuration
    */
-  register<T>(implementation: Constructor<T> | ServiceFactory<T> | T, name?: string): ServiceBuilder<T>;
+  register<T>(implementation: Constructor<T> | ServiceFactory<T> | T, name?: ServiceToken<T>): ServiceBuilder<T>;
   
   /** 
    * Register multiple services at once
@@ -166,6 +417,20 @@ export declare class SDI {
    * @returns Container for chaining
    */
   batchRegister(serviceConfigs: ServiceConfig[]): SDI;
+
+  /**
+   * Decorate every service matching tags or a predicate, checked when instances are created.
+   * The listed decorators wrap the service's own; higher priorities are applied first.
+   * @param selector Tags to match, or a predicate receiving the registration
+   * @param decorators Decorator service names or functions
+   * @param options Priority and services to leave undecorated
+   * @returns Container for chaining
+   */
+  decorateAll(
+    selector: DecorateAllSelector,
+    decorators: string | DecoratorFunction | Array<string | DecoratorFunction>,
+    options?: DecorateAllOptions
+  ): SDI;
   
   /** 
    * Register a value directly (no instantiation)
@@ -173,7 +438,7 @@ export declare class SDI {
    * @param value Value to register
    * @returns Container for chaining
    */
-  value<T>(name: string, value: T): SDI;
+  value<T>(name: string | symbol, value: T): SDI;
   
   /** 
    * Register a factory function
@@ -181,7 +446,7 @@ export declare class SDI {
    * @param factory Factory function that receives dependencies
    * @returns ServiceBuilder for further configuration
    */
-  factory<T>(name: string, factory: ServiceFactory<T>): ServiceBuilder<T>;
+  factory<T>(name: string | symbol, factory: ServiceFactory<T>): ServiceBuilder<T>;
   
   /** 
    * Register a singleton service (one instance shared)
@@ -199,14 +464,38 @@ export declare class SDI {
    */
   transient<T>(implementation: Constructor<T> | ServiceFactory<T>, name?: string): ServiceBuilder<T>;
   
+  /** 
+   * Make another name resolve the same registration (and share its instances)
+   * @param alias Additional name
+   * @param target Name of the registration or alias to resolve
+   * @returns Container for chaining
+   */
+  alias(alias: string, target: string): SDI;
+  
   // ============ SCOPE MANAGEMENT ============
   
   /** 
    * Create a new dependency scope
-   * @param name Unique scope name
+   * @param name Unique scope name (a unique ID is generated when omitted)
+   * @param options Expiry after creation (ttlMs) or after the last resolution (idleMs)
    * @returns New scope instance
    */
-  createScope(name: string): Scope;
+  createScope(name?: string, options?: ScopeOptions): Scope;
+  createScope(options: ScopeOptions): Scope;
+  
+  /** 
+   * Dispose every scope whose ttlMs or idleMs has elapsed
+   * @returns Names of the scopes that expired
+   */
+  pruneScopes(): string[];
+  
+  /** 
+   * Run a function in a fresh anonymous scope, bound as the ambient scope,
+   * that is always disposed afterwards (even when fn throws)
+   * @param fn Function receiving the scope
+   * @returns Promise of whatever fn returns
+   */
+  withScope<R>(fn: (scope: Scope) => R | Promise<R>): Promise<R>;
   
   /** 
    * Get an existing scope
@@ -215,15 +504,62 @@ export declare class SDI {
    */
   scope(name: string): Scope;
   
+  /** 
+   * Run a function with a scope bound to the current async context
+   * @param scopeOrName Scope instance or name of an existing scope
+   * @param fn Function receiving the scope
+   * @returns Whatever fn returns
+   */
+  runInScope<R>(scopeOrName: Scope | string, fn: (scope: Scope) => R): R;
+  
+  /** 
+   * Get the scope bound to the current async context by runInScope()
+   * @returns The ambient scope, or null outside runInScope()
+   */
+  currentScope(): Scope | null;
+  
+  // ============ CHILD CONTAINERS ============
+  
+  /** 
+   * Create a child container that falls back to this container's registrations
+   * @param options Options overriding the ones inherited from this container
+   * @returns New child container
+   */
+  createChild(options?: SDIOptions): SDI;
+  
   // ============ RESOLUTION ============
   
+  /** 
+   * Resolve a service registered under its class token
+   * @param token Class the service is registered under
+   * @param scopeName Optional scope name (defaults to the ambient scope)
+   * @returns Resolved service instance, typed from the class
+   */
+  resolve<T>(token: Constructor<T>, scopeName?: string | Scope): T;
+  
   /** 
    * Resolve a service by name
-   * @param name Service name
-   * @param scopeName Optional scope name for scoped resolution
+   * @param name Service name or symbol token
+   * @param scopeName Optional scope name (defaults to the ambient scope)
    * @returns Resolved service instance
    */
-  resolve<T = any>(name: string, scopeName?: string): T;
+  resolve<T = any>(name: string | symbol, scopeName?: string | Scope): T;
+  
+  /** 
+   * Resolve a service registered under its class token, awaiting async factories
+   * @param token Class the service is registered under
+   * @param scopeName Optional scope name (defaults to the ambient scope)
+   * @returns Promise of the settled service instance, typed from the class
+   */
+  resolveAsync<T>(token: Constructor<T>, scopeName?: string | Scope): Promise<T>;
+  
+  /** 
+   * Resolve a service, awaiting async factories and async dependencies
+   * @param name Service name or symbol token
+   * @param scopeName Optional scope name (defaults to the ambient scope)
+   * @returns Promise of the settled service instance
+   */
+  resolveAsync<T = any>(name: string | symbol, scopeName?: string | Scope): Promise<T>;
   
   /** 
    * Resolve multiple services at once
@@ -233,12 +569,63 @@ export declare class SDI {
    */
   resolveAll<T extends Record<string, any>>(names: string[], scopeName?: string): T;
   
+  /** 
+   * Resolve every implementation registered under a name with asMany()
+   * @param name Service name
+   * @param scopeName Optional scope (or scope name)
+   * @returns Instances in registration order, empty for unknown names
+   */
+  resolveMany<T = any>(name: ServiceToken<T>, scopeName?: string | Scope): T[];
+  
+  /** 
+   * Resolve a service registered with withKey()
+   * @param name Service name
+   * @param key Registration key
+   * @param scopeName Optional scope (or scope name)
+   * @returns Resolved service instance
+   */
+  resolveKeyed<T = any>(name: ServiceToken<T>, key: ServiceKey, scopeName?: string | Scope): T;
+  
+  /** 
+   * Resolve a transient service with runtime arguments merged into its dependencies
+   * @param name Service name
+   * @param args Values looked up before the container
+   * @param scopeName Optional scope (or scope name)
+   * @returns Resolved service instance
+   */
+  resolveWith<T = any>(name: ServiceToken<T>, args?: Record<PropertyKey, any>, scopeName?: string | Scope): T;
+  
+  /** 
+   * Get a factory that resolves a transient service with runtime arguments
+   * @param name Service name
+   * @returns Function that calls resolveWith() for the service
+   */
+  factoryFor<T = any>(name: ServiceToken<T>): (args?: Record<PropertyKey, any>, scopeName?: string | Scope) => T;
+  
   /** 
    * Get a resolver function for lazy resolution
    * @param name Service name
    * @returns Function that resolves the service when called
    */
-  getResolver<T = any>(name: string): (scopeName?: string) => T;
+  getResolver<T = any>(name: ServiceToken<T>): (scopeName?: string) => T;
+  
+  // ============ POOLED SERVICES ============
+  
+  /** 
+   * Borrow an instance of a pooled service, waiting while the pool is exhausted
+   * @param name Service name or token
+   * @param scopeName Optional scope (or scope name) that releases the instance on dispose
+   * @returns Promise of the instance and its release function
+   */
+  acquire<T>(token: Constructor<T>, scopeName?: string | Scope): Promise<PooledInstance<T>>;
+  acquire<T = any>(name: string | symbol, scopeName?: string | Scope): Promise<PooledInstance<T>>;
+  
+  /** 
+   * Get usage statistics for a pooled service
+   * @param name Service name or token
+   * @returns Pool size, idle and borrowed instances, and waiting callers
+   */
+  getPoolStats(name: ServiceToken): PoolStats;
   
   // ============ ADVANCED FEATURES ============
   
@@ -247,14 +634,14 @@ export declare class SDI {
    * @param name Service name
    * @returns True if service is registered
    */
-  has(name: string): boolean;
+  has(name: ServiceToken): boolean;
   
   /** 
    * Remove a service registration
    * @param name Service name
    * @returns Container for chaining
    */
-  unregister(name: string): SDI;
+  unregister(name: ServiceToken): SDI;
   
   /** 
    * Clear all registrations and instances
@@ -262,11 +649,52 @@ export declare class SDI {
    */
   clear(): SDI;
   
+  /** 
+   * Resolve eager singletons in dependency order, awaiting onInit() or init() on each
+   * @param options Startup timeout
+   * @returns Promise of the time each service took; rejects naming the service that failed
+   */
+  start(options?: StartOptions): Promise<StartupReport>;
+  
+  /** 
+   * Dispose cached singletons in reverse creation order and refuse further resolution
+   * Uses Symbol.asyncDispose, Symbol.dispose, dispose() or close(), awaiting returned promises
+   * @returns Promise that rejects with an AggregateError if any singleton failed to dispose
+   */
+  dispose(): Promise<void>;
+  
+  /** 
+   * Dispose every open scope, then the container's singletons
+   * @param options Shutdown timeout
+   * @returns Promise that rejects on timeout or if any singleton failed to dispose
+   */
+  shutdown(options?: { timeoutMs?: number }): Promise<void>;
+  
+  /** 
+   * Run shutdown() and exit the process when a signal arrives
+   * @param options Signals, timeout and exit code
+   * @returns Container for chaining
+   */
+  enableShutdownHooks(options?: ShutdownHookOptions): SDI;
+  
+  /** 
+   * Remove the signal listeners added by enableShutdownHooks()
+   * @returns Container for chaining
+   */
+  disableShutdownHooks(): SDI;
+  
   /** 
    * Get all registered service names
+   * @param options Listing options
    * @returns Array of service names
    */
-  getServiceNames(): string[];
+  getServiceNames(options?: InheritanceOptions & { includeAliases?: boolean }): ServiceToken[];
+  
+  /** 
+   * Get the aliases defined with alias()
+   * @returns Object mapping aliases to their targets
+   */
+  getAliases(): Record<string, string>;
   
   // ============ TAG-BASED SERVICE DISCOVERY ============
   
@@ -274,23 +702,29 @@ export declare class SDI {
    * Find services by tags with AND/OR logic
    * @param tags Array of tags to search for
    * @param mode Search mode: 'AND' (all tags) or 'OR' (any tag)
+   * @param options Search options
    * @returns Array of matching services with metadata
    */
-  getServicesByTags(tags: string[], mode?: 'AND' | 'OR'): Array<{
-    name: string;
+  getServicesByTags(tags: string[], mode?: 'AND' | 'OR', options?: InheritanceOptions): Array<{
+    name: ServiceToken;
     service: ServiceRegistration;
     tags: string[];
     lifecycle: Lifecycle;
     factory: boolean;
+    /** Registration key, undefined for plain registrations */
+    key: ServiceKey | undefined;
+    /** Whether the service is registered in a parent container */
+    inherited: boolean;
   }>;
   
   /** 
    * Get service names by tags (simplified version)
    * @param tags Array of tags to search for
    * @param mode Search mode: 'AND' or 'OR'
+   * @param options Search options
    * @returns Array of matching service names
    */
-  getServiceNamesByTags(tags: string[], mode?: 'AND' | 'OR'): string[];
+  getServiceNamesByTags(tags: string[], mode?: 'AND' | 'OR', options?: InheritanceOptions): string[];
   
   /** 
    * Resolve services by tags
@@ -301,6 +735,7 @@ export declare class SDI {
    */
   resolveServicesByTags(tags: string[], mode?: 'AND' | 'OR', scopeName?: string): Array<{
     name: string;
+    key: ServiceKey | undefined;
     instance: any;
     tags: string[];
     lifecycle: Lifecycle;
@@ -317,6 +752,36 @@ export declare class SDI {
    * @returns Object where keys are tags and values are service name arrays
    */
   getServicesByTag(): Record<string, string[]>;
+
+  /**
+   * Describe how a service is registered and decorated.
+   * Decorator conditions are evaluated now, against the ambient scope.
+   * @param name Service name or token
+   * @returns Registration summary with the decorator chain in the order it is applied
+   */
+  describe(name: ServiceToken): ServiceDescription;
+  
+  // ============ VERIFICATION ============
+  
+  /** 
+   * Statically verify every registration without instantiating application code
+   * @param options.tags Tags that must be carried by at least one service
+   * @returns Validation report
+   */
+  validate(options?: { tags?: string[] }): ValidationReport;
+  
+  /** 
+   * Export the dependency graph as DOT or Mermaid source
+   * @param options.format Output format
+   * @returns Graph source
+   */
+  toGraph(options: GraphOptions & { format: 'dot' | 'mermaid' }): string;
+  
+  /** 
+   * Export the dependency graph as data
+   * @returns Nodes, edges and cycles
+   */
+  toGraph(options?: GraphOptions & { format?: 'json' }): ServiceGraph;
   
   // ============ LIFECYCLE HOOKS ============
   
@@ -326,7 +791,7 @@ export declare class SDI {
    * @param callback Hook callback function
    * @returns Container for chaining
    */
-  hook(event: 'beforeCreate' | 'afterCreate' | 'beforeResolve' | 'afterResolve', callback: HookCallback): SDI;
+  hook(event: 'beforeCreate' | 'afterCreate' | 'beforeResolve' | 'afterResolve' | 'disposeError' | 'scopeExpired', callback: HookCallback): SDI;
   
   /** 
    * Remove all hooks for an event
@@ -340,13 +805,13 @@ export declare class SDI {
  * Service builder for fluent API configuration
  * Provides method chaining for service registration
  */
-export declare class ServiceBuilder<T> {
+export declare class ServiceBuilder<T, R = SDI> {
   /** Container reference for chaining */
   readonly container: SDI;
   /** Service implementation */
   readonly implementation: T;
-  /** Service name */
-  readonly name: string;
+  /** Service name or token */
+  readonly name: ServiceToken<T>;
   /** Current lifecycle setting */
   lifecycle: Lifecycle;
   /** Whether service uses factory pattern */
@@ -360,31 +825,45 @@ export declare class ServiceBuilder<T> {
    * Register as singleton (shared instance)
    * @returns Container for chaining
    */
-  asSingleton(): SDI;
+  asSingleton(): R;
   
   /** 
    * Register as transient (new instance each time)
    * @returns Container for chaining
    */
-  asTransient(): SDI;
+  asTransient(): R;
   
   /** 
    * Register as scoped (one instance per scope)
+   * @param level Cache the instance in the nearest scope of this level
    * @returns Container for chaining
    */
-  asScoped(): SDI;
+  asScoped(level?: string): R;
+  
+  /** 
+   * Register as pooled (instances borrowed with acquire() and reused)
+   * @param options Pool size and timeouts
+   * @returns Container for chaining
+   */
+  asPooled(options?: PoolOptions): R;
   
   /** 
    * Register as value (no instantiation)
    * @returns Container for chaining
    */
-  asValue(): SDI;
+  asValue(): R;
   
   /** 
    * Mark as factory function
    * @returns ServiceBuilder for further configuration
    */
-  asFactory(): ServiceBuilder<T>;
+  asFactory(): ServiceBuilder<T, R>;
+  
+  /** 
+   * Add this implementation to the ones already registered under the name
+   * @returns ServiceBuilder for further configuration
+   */
+  asMany(): ServiceBuilder<T, R>;
   
   // ============ TAGGING AND METADATA ============
   
@@ -393,14 +872,62 @@ export declare class ServiceBuilder<T> {
    * @param tag Tag name
    * @returns ServiceBuilder for chaining
    */
-  withTag(tag: string): ServiceBuilder<T>;
+  withTag(tag: string): ServiceBuilder<T, R>;
   
   /** 
    * Add multiple tags to this service
    * @param tags Array of tag names
    * @returns ServiceBuilder for chaining
    */
-  withTags(...tags: string[]): ServiceBuilder<T>;
+  withTags(...tags: string[]): ServiceBuilder<T, R>;
+  
+  /** 
+   * Declare the dependency names this service uses (for validate() and resolveAsync())
+   * @param dependencies Dependency service names
+   * @returns ServiceBuilder for chaining
+   */
+  dependsOn(dependencies: ServiceToken | ServiceToken[]): ServiceBuilder<T, R>;
+  
+  /** 
+   * Mark dependencies as optional: when not registered they resolve to undefined
+   * @param dependencies Dependency service names
+   * @returns ServiceBuilder for chaining
+   */
+  withOptional(dependencies: string | string[]): ServiceBuilder<T, R>;
+  
+  /** 
+   * Inject dependencies as proxies resolved on first property access
+   * @param dependencies Dependency service names
+   * @returns ServiceBuilder for chaining
+   */
+  withLazy(dependencies: string | string[]): ServiceBuilder<T, R>;
+  
+  /** 
+   * Resolve this singleton and await its onInit() or init() in container.start()
+   * @returns ServiceBuilder for chaining
+   */
+  eager(): ServiceBuilder<T, R>;
+  
+  /** 
+   * Register under the name plus a key, resolved with resolveKeyed()
+   * @param key Registration key
+   * @returns ServiceBuilder for chaining
+   */
+  withKey(key: ServiceKey): ServiceBuilder<T, R>;
+  
+  /** 
+   * Inject keyed registrations for some dependencies
+   * @param dependencies Dependency name -> registration key
+   * @returns ServiceBuilder for chaining
+   */
+  withKeyed(dependencies: Record<string, ServiceKey>): ServiceBuilder<T, R>;
+  
+  /** 
+   * Inject services registered under symbol or class tokens
+   * @param dependencies Dependency name -> token
+   * @returns ServiceBuilder for chaining
+   */
+  withTokens(dependencies: Record<string, ServiceToken>): ServiceBuilder<T, R>;
   
   // ============ CONDITIONAL REGISTRATION ============
   
@@ -409,13 +936,13 @@ export declare class ServiceBuilder<T> {
    * @param condition Function that returns boolean
    * @returns ServiceBuilder for chaining
    */
-  when(condition: () => boolean): ServiceBuilder<T>;
+  when(condition: () => boolean): ServiceBuilder<T, R>;
   
   /** 
    * Allow overriding existing registration
    * @returns ServiceBuilder for chaining
    */
-  override(): ServiceBuilder<T>;
+  override(): ServiceBuilder<T, R>;
   
   /** 
    * Complete configuration and return container
@@ -460,16 +987,27 @@ export declare class ServiceBuilder<T> {
   /** 
    * Decorate the service with specified decorators
    * @param decorators Decorator names or functions
+   * @param options Priority and condition of the decorators
    * @returns ServiceBuilder for chaining
    */
-  decorateWith(decorators: string | string[] | DecoratorFunction): ServiceBuilder<T>;
+  decorateWith(decorators: string | Array<string | DecoratorFunction> | DecoratorFunction, options?: DecoratorOptions): ServiceBuilder<T, R>;
   
   /** 
    * Decorate the service with a custom decorator function
    * @param decoratorFn Decorator function
+   * @param options Priority and condition of the decorator
+   * @returns ServiceBuilder for chaining
+   */
+  decorate(decoratorFn: DecoratorFunction, options?: DecoratorOptions): ServiceBuilder<T, R>;
+
+  /**
+   * Intercept calls to the service's methods through a single proxy.
+   * Interceptors run in the order they are added, the first one outermost.
+   * @param interceptor Receives the call context and returns the call's result
+   * @param options methods to intercept, all methods when omitted
    * @returns ServiceBuilder for chaining
    */
-  decorate(decoratorFn: DecoratorFunction): ServiceBuilder<T>;
+  intercept(interceptor: Interceptor<T>, options?: InterceptOptions): ServiceBuilder<T, R>;
 }
 
 /** 
@@ -481,26 +1019,99 @@ export declare class Scope {
   readonly container: SDI;
   /** Unique scope name */
   readonly name: string;
+  /** Creation time in milliseconds since the epoch */
+  readonly createdAt: number;
+  /** Time of the last resolution in this scope, in milliseconds since the epoch */
+  readonly lastResolvedAt: number;
+  /** Level matched by asScoped(level) services */
+  readonly level: string;
+  /** Scope this one was created from with createChild(), null for top-level scopes */
+  readonly parent: Scope | null;
+  /** Expiry after creation, null when unset */
+  readonly ttlMs: number | null;
+  /** Expiry after the last resolution, null when unset */
+  readonly idleMs: number | null;
   
   /** 
    * Resolve a service within this scope
-   * @param name Service name
+   * @param name Service name or token
    * @returns Resolved service instance
    */
-  resolve<T = any>(name: string): T;
+  resolve<T>(token: Constructor<T>): T;
+  resolve<T = any>(name: string | symbol): T;
+  
+  /** 
+   * Resolve a service within this scope, awaiting async factories
+   * @param name Service name or token
+   * @returns Promise of the settled service instance
+   */
+  resolveAsync<T>(token: Constructor<T>): Promise<T>;
+  resolveAsync<T = any>(name: string | symbol): Promise<T>;
+  
+  /** 
+   * Register a value visible only in this scope and its children
+   * @param name Service name or token
+   * @param value The value
+   * @returns Scope for chaining
+   */
+  value(name: ServiceToken, value: any): Scope;
+  
+  /** 
+   * Register a service visible only in this scope and its children, shadowing
+   * container registrations; singletons are cached in the scope
+   * @param implementation Class, factory function or value
+   * @param name Service name (inferred from the class name if omitted)
+   * @returns ServiceBuilder whose lifecycle methods return this scope
+   */
+  register<T>(implementation: Constructor<T> | ServiceFactory<T> | T, name?: ServiceToken<T>): ServiceBuilder<T, Scope>;
+  
+  /** 
+   * Create a scope nested in this one, disposed before it
+   * @param name Unique scope name (a unique ID is generated when omitted)
+   * @param options Expiry and level of the child scope
+   * @returns The child scope
+   */
+  createChild(name?: string, options?: ScopeOptions): Scope;
+  createChild(options: ScopeOptions): Scope;
   
   /** 
-   * Dispose all instances in this scope
-   * Calls dispose() method on instances if available
+   * Borrow a pooled instance, released when this scope is disposed
+   * @param name Service name or token
+   * @returns Promise of the instance and its release function
+   */
+  acquire<T>(token: Constructor<T>): Promise<PooledInstance<T>>;
+  acquire<T = any>(name: string | symbol): Promise<PooledInstance<T>>;
+  
+  /** 
+   * Dispose all instances in this scope and unregister it from the container
+   * Uses Symbol.asyncDispose, Symbol.dispose, dispose() or close() on instances if available
    * @returns Scope for chaining
    */
   dispose(): Scope;
   
+  /** 
+   * Dispose this scope, awaiting async disposers one instance at a time
+   * @returns Promise of the scope
+   */
+  disposeAsync(): Promise<Scope>;
+  
+  /** Dispose this scope (enables `using scope = container.createScope()`) */
+  [Symbol.dispose](): void;
+  
+  /** Dispose this scope asynchronously (enables `await using`) */
+  [Symbol.asyncDispose](): Promise<Scope>;
+  
   /** 
    * Get all instances currently in this scope
    * @returns Map of service names to instances
    */
   getInstances(): ReadonlyMap<string, any>;
+  
+  /** 
+   * Check whether ttlMs or idleMs has elapsed
+   * @returns True once expired
+   */
+  isExpired(): boolean;
 }
 
 /** 
@@ -522,6 +1133,8 @@ export declare const LIFECYCLE: {
   SCOPED: 'scoped';
   /** Direct value (no instantiation) */
   VALUE: 'value';
+  /** Reusable instances borrowed with acquire() */
+  POOLED: 'pooled';
 };
 
 /** Default export - SDI class */
@@ -37,6 +37,8 @@
  * ```
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
+
 /**
  * Service lifecycle constants
  * @readonly
@@ -50,18 +52,54 @@ export const LIFECYCLE = {
   /** One instance per scope (useful for request-scoped services) */
   SCOPED: 'scoped',
   /** Direct value registration without instantiation */
-  VALUE: 'value'
+  VALUE: 'value',
+  /** Reusable instances borrowed with acquire() and handed back with release() */
+  POOLED: 'pooled'
+};
+
+// Lifetime ranks for captive dependency detection, longer-lived services rank higher
+const LIFETIME_RANK = {
+  [LIFECYCLE.TRANSIENT]: 1,
+  [LIFECYCLE.SCOPED]: 2,
+  [LIFECYCLE.SINGLETON]: 3,
+  [LIFECYCLE.VALUE]: 3,
+  [LIFECYCLE.POOLED]: 3
 };
 
 const ERRORS = {
   MODULE_NOT_FOUND: (name) => `Service '${name}' not found. Did you forget to register it?`,
   CIRCULAR_DEPENDENCY: (cycle) => `Circular dependency detected: ${cycle.join(' → ')}`,
+  CAPTIVE_DEPENDENCY: (chain) => `Captive dependency detected: ${chain}. A longer-lived service must not hold a shorter-lived one`,
   INVALID_LIFECYCLE: (lifecycle) => `Invalid lifecycle '${lifecycle}'. Use: ${Object.values(LIFECYCLE).join(', ')}`,
   SCOPE_NOT_FOUND: (scope) => `Scope '${scope}' not found. Create it first with createScope()`,
+  SCOPE_DISPOSED: (scope) => `Scope '${scope}' has been disposed`,
+  SCOPE_LEVEL_NOT_FOUND: (name, level, scope) => `Scoped service '${name}' lives in a '${level}' scope, but scope '${scope}' has no such ancestor`,
+  SCOPE_EXPIRED: (scope, reason) => `Scope '${scope}' expired (${reason === 'ttl' ? 'ttlMs' : 'idleMs'} elapsed) and has been disposed`,
+  NO_ACTIVE_SCOPE: (name) => `Scoped service '${name}' requires an active scope. Use runInScope(), scope.resolve() or resolve(name, scopeName)`,
   ALREADY_REGISTERED: (name) => `Service '${name}' is already registered. Use override() to replace it.`,
   DANGEROUS_KEY: (key) => `Dangerous property access blocked: '${key}'`,
   MEMORY_LIMIT: (type, limit) => `Memory limit exceeded for ${type}. Max: ${limit}`,
-  HOOK_LIMIT: (limit) => `Hook limit exceeded. Max: ${limit} hooks per event`
+  HOOK_LIMIT: (limit) => `Hook limit exceeded. Max: ${limit} hooks per event`,
+  CONTAINER_DISPOSED: () => 'Container has been disposed. Create a new container to resolve services.',
+  INVALID_TOKEN: () => 'Service name must be a non-empty string, a symbol or a class',
+  ALIAS_CONFLICT: (alias) => `Cannot alias '${alias}': a service with that name is registered`,
+  ALIAS_CYCLE: (chain) => `Alias cycle detected: ${chain.join(' → ')}`,
+  KEYED_NOT_FOUND: (label) => `Service ${label} not found. Did you forget to register it with withKey()?`,
+  INVALID_KEY: () => 'Service keys must be primitives (string, number, boolean, bigint, symbol or null)',
+  INVALID_ARGS: () => 'Runtime arguments must be a plain object',
+  ARGS_NOT_TRANSIENT: (name, lifecycle) => `Cannot pass runtime arguments to '${name}': only transient services accept them (it is ${lifecycle})`,
+  POOLED_RESOLVE: (name) => `Service '${name}' is pooled. Borrow an instance with acquire() and release it when done`,
+  NOT_POOLED: (name, lifecycle) => `Service '${name}' is ${lifecycle}, not pooled. Register it with asPooled() to acquire() it`,
+  POOL_EXHAUSTED: (name, max, timeout) => `Pool for '${name}' is exhausted: all ${max} instances stayed in use for ${timeout}ms. Release instances when done or raise max`,
+  POOL_CLOSED: (name) => `Pool for '${name}' was closed while waiting for an instance`,
+  INVALID_POOL_OPTIONS: (detail) => `Invalid pool options: ${detail}`,
+  EAGER_LIFECYCLE: (name, lifecycle) => `Only singletons can be eager: '${name}' is ${lifecycle}`,
+  STARTUP_FAILED: (name, message) => `Startup failed in '${name}': ${message}`,
+  STARTUP_TIMEOUT: (timeout, name) => `Startup timed out after ${timeout}ms while starting '${name}'`,
+  SHUTDOWN_TIMEOUT: (timeout) => `Shutdown timed out after ${timeout}ms`,
+  ASYNC_DEPENDENCIES_UNKNOWN: (name) => `Cannot resolve '${name}' asynchronously: its dependencies cannot be read from its parameters. Destructure them, e.g. ({db, logger}), or declare them with dependsOn()`,
+  INTERCEPT_NOT_OBJECT: (name, type) => `Cannot intercept methods of service '${name}': its instance is a ${type}, not an object`,
+  INVALID_GRAPH_FORMAT: (format) => `Graph format must be 'dot', 'mermaid' or 'json', got '${format}'`
 };
 
 // Security: Dangerous keys that could lead to prototype pollution
@@ -76,6 +114,58 @@ const DANGEROUS_KEYS = new Set([
   'propertyIsEnumerable'
 ]);
 
+// Disposal protocols checked in order; the symbols only exist on newer runtimes
+const DISPOSE_METHODS = [Symbol.asyncDispose, Symbol.dispose, 'dispose', 'close']
+  .filter(method => typeof method === 'string' || typeof method === 'symbol');
+
+// Initializers awaited by start() for eager services, checked in order
+const INIT_METHODS = ['onInit', 'init'];
+
+// Service identifiers: names, symbols or the class constructor itself
+const isValidToken = (token) => (typeof token === 'string' && token !== '') ||
+  typeof token === 'symbol' || typeof token === 'function';
+
+// Readable form of a service token for messages
+const tokenLabel = (token) => typeof token === 'function' ? (token.name || '<anonymous class>') : String(token);
+
+// Validated {priority, when} options of a decorator entry
+const decoratorOptions = (options = {}) => {
+  const { priority = 0, when = null } = options;
+  if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+    throw new Error('Decorator priority must be a finite number');
+  }
+  if (when !== null && typeof when !== 'function') {
+    throw new Error('Decorator condition must be a function');
+  }
+  return { priority, when };
+};
+
+// Keys for withKey() registrations: any primitive except undefined, which means "no key"
+const isValidKey = (key) => key === null || (key !== undefined && typeof key !== 'object' && typeof key !== 'function');
+
+// Readable, type-distinct label for a keyed registration
+const keyedLabel = (name, key) => {
+  const label = typeof key === 'string' ? JSON.stringify(key)
+    : typeof key === 'bigint' ? `${key}n`
+    : String(key);
+  return `${tokenLabel(name)}[${label}]`;
+};
+
+// Cache key unique to one registration, for registrations sharing a token; labels
+// can collide (two Symbol('eu') keys), so they are only used in messages
+class CacheKey {
+  constructor(label) {
+    this.label = label;
+  }
+
+  toString() {
+    return this.label;
+  }
+}
+
+// Name reported to hooks for a cache key: the token, or the label of a CacheKey
+const cacheName = (key) => key instanceof CacheKey ? key.label : key;
+
 /**
  * Main SDI Container Class
  * 
@@ -102,6 +192,8 @@ class SDI {
    * @param {number} [options.maxInstances=5000] - Maximum instances limit
    * @param {number} [options.maxScopes=100] - Maximum scopes limit
    * @param {number} [options.maxHooksPerEvent=50] - Maximum hooks per event
+   * @param {string} [options.lifetimeValidation='warn'] - Captive dependency handling: 'error', 'warn' or 'off'
+   * @param {boolean} [options.transientCaptives=false] - Also report transient dependencies of longer-lived services
    * 
    * @example
    * ```javascript
@@ -122,19 +214,35 @@ class SDI {
       maxInstances: 5000,       // Memory limit
       maxScopes: 100,           // Memory limit
       maxHooksPerEvent: 50,     // Hook limit
+      lifetimeValidation: 'warn', // Captive dependencies: 'error' | 'warn' | 'off'
+      transientCaptives: false, // Report transients held by longer-lived services as captives
       ...options
     };
     
     this._services = new Map();
+    this._manyServices = new Map();     // Name -> ordered registrations added with asMany()
+    this._keyedServices = new Map();    // Name -> Map of key -> registration added with withKey()
+    this._aliases = new Map();          // Alias -> target name
     this._instances = new Map();
+    this._pending = new Map();          // In-flight async singleton creations
+    this._pools = new Map();            // Cache key -> ServicePool for asPooled() registrations
     this._scopes = new Map();
-    this._currentResolutionStack = null; // Current resolution context
+    this._scopeStorage = new AsyncLocalStorage(); // Ambient scope for runInScope()
+    this._scopeSequence = 0;             // Generated IDs for anonymous scopes
+    this._observedDependencies = new WeakMap(); // Registration -> names accessed through its proxy
+    this._initialized = new WeakSet();  // Instances whose onInit()/init() start() has run
+    this._disposed = false;
+    this._parent = null;                 // Set on containers created with createChild()
     this._hooks = {
       beforeCreate: [],
       afterCreate: [],
       beforeResolve: [],
-      afterResolve: []
+      afterResolve: [],
+      disposeError: [],
+      scopeExpired: []
     };
+    this._shutdownListeners = new Map(); // Signal -> listener added by enableShutdownHooks()
+    this._globalDecorators = [];         // Rules added with decorateAll(), in registration order
   }
 
   // ============ FLUENT REGISTRATION API ============
@@ -173,8 +281,8 @@ class SDI {
    * @returns {SDI} For chaining
    */
   value(name, value) {
-    if (!name || typeof name !== 'string') {
-      throw new Error('Service name must be a non-empty string');
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
     }
     this.register(value, name).asValue();
     return this;
@@ -187,8 +295,8 @@ class SDI {
    * @returns {ServiceBuilder} For further configuration
    */
   factory(name, factory) {
-    if (!name || typeof name !== 'string') {
-      throw new Error('Service name must be a non-empty string');
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
     }
     if (typeof factory !== 'function') {
       throw new Error('Factory must be a function');
@@ -203,7 +311,7 @@ class SDI {
    * @returns {SDI} For chaining
    */
   singleton(nameOrImplementation, implementation) {
-    if (typeof nameOrImplementation === 'string') {
+    if (typeof nameOrImplementation === 'string' || typeof nameOrImplementation === 'symbol') {
       // New API: singleton('name', implementation)
       this.register(implementation, nameOrImplementation).asSingleton();
     } else {
@@ -220,7 +328,7 @@ class SDI {
    * @returns {SDI} For chaining
    */
   transient(nameOrImplementation, implementation) {
-    if (typeof nameOrImplementation === 'string') {
+    if (typeof nameOrImplementation === 'string' || typeof nameOrImplementation === 'symbol') {
       // New API: transient('name', implementation)
       this.register(implementation, nameOrImplementation).asTransient();
     } else {
@@ -230,6 +338,53 @@ class SDI {
     return this;
   }
 
+  /**
+   * Make another name resolve the same registration
+   *
+   * The alias shares the target's cached instances. Targets may be other aliases
+   * or registered later; registrations take precedence over aliases of the same name.
+   *
+   * @param {string} alias - Additional name
+   * @param {string} target - Name of the registration (or alias) to resolve
+   * @returns {SDI} For chaining
+   *
+   * @example
+   * container.singleton(UserRepository);
+   * container.alias('userRepo', 'userRepository');
+   * container.resolve('userRepo') === container.resolve('userRepository'); // true
+   */
+  alias(alias, target) {
+    [alias, target].forEach(name => {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Alias and target must be non-empty strings');
+      }
+      if (DANGEROUS_KEYS.has(name)) {
+        throw new Error(ERRORS.DANGEROUS_KEY(name));
+      }
+    });
+    if (this._services.has(alias)) {
+      throw new Error(ERRORS.ALIAS_CONFLICT(alias));
+    }
+
+    // Follow the target's aliases: reaching the new alias again would loop forever
+    const chain = [alias, target];
+    let current = target;
+    while (current !== alias && !this._services.has(current) && this._aliases.has(current)) {
+      current = this._aliases.get(current);
+      chain.push(current);
+    }
+    if (current === alias) {
+      throw new Error(ERRORS.ALIAS_CYCLE(chain));
+    }
+
+    this._aliases.set(alias, target);
+
+    if (this.options.verbose) {
+      console.log(`[SDIJS:REGISTER] Alias '${alias}' → '${target}'`);
+    }
+    return this;
+  }
+
   /**
    * Register services in batch with decorator configuration
    * @param {Array} serviceConfigs - Array of service configuration objects
@@ -302,29 +457,156 @@ class SDI {
     return this;
   }
 
+  /**
+   * Decorate every service matching tags or a predicate
+   *
+   * Matching runs when an instance is created, so services registered later are
+   * decorated too. The listed decorators join the service's own decorator chain,
+   * after those of the same priority. Child containers apply their parents' rules
+   * as well.
+   *
+   * @param {Object|Function} selector - `{tags, mode}` as in getServicesByTags(), or a predicate receiving the registration
+   * @param {string|Function|Array<string|Function>} decorators - Decorator service names or functions, as in decorateWith()
+   * @param {Object} [options={}] - Rule options
+   * @param {number} [options.priority=0] - Decorators with higher priority are applied first
+   * @param {Function} [options.when] - Condition checked at resolve time, see ServiceBuilder#decorateWith()
+   * @param {Array<string|symbol|Function>} [options.exclude=[]] - Services left undecorated
+   * @returns {SDI} For chaining
+   *
+   * @example
+   * ```javascript
+   * container
+   *   .decorateAll({ tags: ['repository'] }, ['timingDecorator'], { exclude: ['auditRepository'] })
+   *   .decorateAll(service => service.name.endsWith('UseCase'), logCalls, { priority: 10 });
+   * ```
+   */
+  decorateAll(selector, decorators, options = {}) {
+    const { exclude = [] } = options;
+    const { priority, when } = decoratorOptions(options);
+
+    let matches;
+    if (typeof selector === 'function') {
+      matches = selector;
+    } else if (selector && Array.isArray(selector.tags) && selector.tags.length > 0) {
+      const { tags, mode = 'AND' } = selector;
+      if (mode !== 'AND' && mode !== 'OR') {
+        throw new Error("Mode must be 'AND' or 'OR'");
+      }
+      matches = mode === 'AND'
+        ? service => tags.every(tag => service.tags.has(tag))
+        : service => tags.some(tag => service.tags.has(tag));
+    } else {
+      throw new Error('decorateAll() selector must be a predicate or { tags: [...] } with at least one tag');
+    }
+
+    const list = Array.isArray(decorators) ? decorators : [decorators];
+    if (list.length === 0 || !list.every(decorator => typeof decorator === 'string' || typeof decorator === 'function')) {
+      throw new Error('Decorators must be service names (strings) or functions');
+    }
+    if (!Array.isArray(exclude)) {
+      throw new Error('decorateAll() exclude must be an array of service names');
+    }
+
+    this._globalDecorators.push({
+      matches,
+      decorators: list.slice(),
+      priority,
+      when,
+      exclude: new Set(exclude)
+    });
+
+    if (this.options.verbose) {
+      console.log(`[SDIJS:DECORATOR] Added global decorator rule with ${list.length} decorator(s) [priority ${priority}]`);
+    }
+    return this;
+  }
+
   // ============ SCOPE MANAGEMENT ============
   
   /**
    * Create a new scope
-   * @param {string} name - Scope name
+   *
+   * Scopes with `ttlMs` or `idleMs` dispose themselves once expired and fire the
+   * `scopeExpired` hook, so forgotten scopes do not pile up against `maxScopes`.
+   *
+   * @param {string|Object} [name] - Scope name, a unique ID is generated when omitted; may be the options instead
+   * @param {Object} [options={}] - Scope options
+   * @param {number} [options.ttlMs] - Expire this long after creation
+   * @param {number} [options.idleMs] - Expire this long after the last resolution
+   * @param {string} [options.level] - Level matched by `.asScoped(level)` services, defaults to the name
+   * @returns {Scope} New scope instance
+   *
+   * @example
+   * ```javascript
+   * wss.on('connection', (socket) => {
+   *   const scope = container.createScope(`socket-${socket.id}`, { idleMs: 60000, ttlMs: 3600000 });
+   * });
+   * ```
+   */
+  createScope(name, options = {}) {
+    return this._createScope(name, options, null);
+  }
+
+  /**
+   * Create a scope, nested in a parent scope when given
+   * @param {string|Object} [name] - Scope name or options
+   * @param {Object} [options={}] - Scope options
+   * @param {Scope|null} parent - Parent scope for Scope.createChild()
    * @returns {Scope} New scope instance
    */
-  createScope(name) {
-    if (!name || typeof name !== 'string') {
+  _createScope(name, options, parent) {
+    if (name !== null && typeof name === 'object') {
+      options = name;
+      name = undefined;
+    }
+    for (const option of ['ttlMs', 'idleMs']) {
+      if (options[option] !== undefined && (typeof options[option] !== 'number' || !(options[option] > 0))) {
+        throw new Error(`Scope ${option} must be a positive number`);
+      }
+    }
+    if (options.level !== undefined && (!options.level || typeof options.level !== 'string')) {
+      throw new Error('Scope level must be a non-empty string');
+    }
+
+    if (name === undefined) {
+      do {
+        name = `scope-${++this._scopeSequence}`;
+      } while (this._scopes.has(name));
+    } else if (!name || typeof name !== 'string') {
       throw new Error('Scope name must be a non-empty string');
     }
     
+    // Make room by dropping expired scopes before enforcing the limit
+    if (this._scopes.size >= this.options.maxScopes) {
+      this.pruneScopes();
+    }
     this._checkMemoryLimits('scopes');
     
     if (this._scopes.has(name)) {
       throw new Error(`Scope '${name}' already exists. Use a different name or dispose the existing scope.`);
     }
     
-    const scope = new Scope(this, name);
+    const scope = new Scope(this, name, options, parent);
     this._scopes.set(name, scope);
+    if (parent) parent._children.add(scope);
     return scope;
   }
 
+  /**
+   * Dispose every scope whose ttlMs or idleMs has elapsed
+   *
+   * Expired scopes also dispose themselves on a timer; pruning catches up on
+   * demand, e.g. before a health check reports the number of open scopes.
+   *
+   * @returns {string[]} Names of the scopes that expired
+   */
+  pruneScopes() {
+    const now = Date.now();
+    return Array.from(this._scopes.values())
+      .filter(scope => scope._expire(now))
+      .map(scope => scope.name);
+  }
+
   /**
    * Get an existing scope
    * @param {string} name - Scope name
@@ -336,28 +618,162 @@ class SDI {
     return scope;
   }
 
+  /**
+   * Run a function with a scope bound to the current async context
+   *
+   * Inside `fn` (and everything it awaits), `resolve()` and `resolveAsync()` without
+   * a scope name, as well as dependency proxies, use this scope.
+   *
+   * @param {Scope|string} scopeOrName - Scope instance or name of an existing scope
+   * @param {Function} fn - Function receiving the scope; its return value is passed through
+   * @returns {*} Whatever `fn` returns (a promise for async functions)
+   *
+   * @example
+   * ```javascript
+   * app.use((req, res, next) => {
+   *   const scope = container.createScope(`request-${req.id}`);
+   *   res.on('finish', () => scope.dispose());
+   *   container.runInScope(scope, next);
+   * });
+   *
+   * // Later, anywhere in the request
+   * const ctx = container.resolve('requestContext');
+   * ```
+   */
+  runInScope(scopeOrName, fn) {
+    let scope;
+    if (scopeOrName instanceof Scope) {
+      scope = scopeOrName;
+    } else if (typeof scopeOrName === 'string' && scopeOrName) {
+      scope = this.scope(scopeOrName);
+    } else {
+      throw new Error('runInScope requires a Scope or the name of an existing scope');
+    }
+    if (typeof fn !== 'function') {
+      throw new Error('runInScope requires a function');
+    }
+
+    return this._scopeStorage.run(scope, fn, scope);
+  }
+
+  /**
+   * Run a function in a fresh anonymous scope that is always disposed afterwards
+   *
+   * The scope is also bound as the ambient scope while `fn` runs, and disposed
+   * (awaiting async disposers) even when `fn` throws.
+   *
+   * @param {Function} fn - Function receiving the scope
+   * @returns {Promise<*>} Whatever `fn` returns
+   *
+   * @example
+   * ```javascript
+   * const report = await container.withScope(async (scope) => {
+   *   return scope.resolve('reportService').build();
+   * });
+   * ```
+   */
+  async withScope(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('withScope requires a function');
+    }
+
+    const scope = this.createScope();
+    try {
+      return await this.runInScope(scope, fn);
+    } finally {
+      await scope.disposeAsync();
+    }
+  }
+
+  /**
+   * Get the scope bound to the current async context by runInScope()
+   * @returns {Scope|null} The ambient scope, or null outside runInScope()
+   */
+  currentScope() {
+    return this._scopeStorage.getStore() || null;
+  }
+
+  // ============ CHILD CONTAINERS ============
+
+  /**
+   * Create a child container that falls back to this container's registrations
+   *
+   * Names missing in the child are resolved by the parent, so parent singletons
+   * stay shared while the child can override names and keep its own singletons.
+   * Services registered in the parent resolve their dependencies from the parent.
+   *
+   * @param {Object} [options={}] - Options overriding the ones inherited from this container
+   * @returns {SDI} New child container
+   *
+   * @example
+   * ```javascript
+   * const tenant = container.createChild();
+   * tenant.value('tenantId', 'acme');
+   * tenant.resolve('database'); // Shared singleton from the parent
+   * ```
+   */
+  createChild(options = {}) {
+    const child = new SDI({ ...this.options, ...options });
+    child._parent = this;
+    return child;
+  }
+
   // ============ RESOLUTION ============
 
   /**
    * Resolve a service by name
    * @param {string} name - Service name
-   * @param {string} [scopeName] - Optional scope name
+   * @param {string|Scope} [scopeName] - Optional scope (or scope name), defaults to the ambient scope
    * @returns {*} Resolved service instance
    */
   resolve(name, scopeName = null) {
-    if (!name || typeof name !== 'string') {
-      throw new Error('Service name must be a non-empty string');
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
     }
     
+    const scope = this._scopeFor(scopeName);
+    scopeName = scope ? scope.name : null;
+
     this._callHooks('beforeResolve', { name, scopeName });
     
-    const scope = scopeName ? this.scope(scopeName) : null;
     const result = this._resolve(name, scope);
     
     this._callHooks('afterResolve', { name, scopeName, result });
     return result;
   }
 
+  /**
+   * Resolve a service by name, awaiting async factories and async dependencies
+   *
+   * Settled values are cached for singletons and scoped services, and concurrent
+   * calls share a single in-flight creation.
+   *
+   * @param {string} name - Service name
+   * @param {string|Scope} [scopeName] - Optional scope (or scope name), defaults to the ambient scope
+   * @returns {Promise<*>} Resolved service instance
+   *
+   * @example
+   * ```javascript
+   * container.factory('db', async ({config}) => connect(config)).asSingleton();
+   * const db = await container.resolveAsync('db');
+   * ```
+   */
+  async resolveAsync(name, scopeName = null) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+
+    const scope = this._scopeFor(scopeName);
+    scopeName = scope ? scope.name : null;
+
+    this._callHooks('beforeResolve', { name, scopeName });
+
+    const result = await this._resolveAsync(name, scope, []);
+
+    this._callHooks('afterResolve', { name, scopeName, result });
+    return result;
+  }
+
   /**
    * Resolve multiple services at once
    * @param {string[]} names - Array of service names
@@ -376,27 +792,232 @@ class SDI {
     return resolved;
   }
 
+  /**
+   * Resolve every implementation registered under a name
+   *
+   * Implementations are added with `.asMany()` and returned in registration order,
+   * each with its own lifecycle, tags and decorators. A name registered once
+   * resolves to a single-element array, an unknown name to an empty one.
+   *
+   * @param {string} name - Service name
+   * @param {string|Scope} [scopeName] - Optional scope (or scope name), defaults to the ambient scope
+   * @returns {Array} Resolved instances
+   *
+   * @example
+   * ```javascript
+   * container.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+   * container.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+   *
+   * container.resolve('paymentProvider');     // PaypalProvider (the last one)
+   * container.resolveMany('paymentProvider'); // [StripeProvider, PaypalProvider]
+   * ```
+   */
+  resolveMany(name, scopeName = null) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+
+    const scope = this._scopeFor(scopeName);
+    const found = this._getEntries(name);
+    if (!found) return [];
+
+    return found.entries.map(service => found.container._resolveEntry(service, scope));
+  }
+
+  /**
+   * Resolve a service registered under a name plus key
+   *
+   * Keyed registrations are separate from the plain registration under the same
+   * name and cache their instances separately, per key.
+   *
+   * @param {string} name - Service name
+   * @param {string|number|boolean|bigint|symbol|null} key - Registration key
+   * @param {string|Scope} [scopeName] - Optional scope (or scope name), defaults to the ambient scope
+   * @returns {*} Resolved service instance
+   *
+   * @example
+   * ```javascript
+   * container.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+   * container.register(S3Client, 'storage').withKey('us-east').asSingleton();
+   *
+   * const storage = container.resolveKeyed('storage', 'eu-west');
+   * ```
+   */
+  resolveKeyed(name, key, scopeName = null) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+    if (!isValidKey(key)) {
+      throw new Error(ERRORS.INVALID_KEY());
+    }
+
+    const scope = this._scopeFor(scopeName);
+    scopeName = scope ? scope.name : null;
+
+    this._callHooks('beforeResolve', { name, key, scopeName });
+
+    const result = this._resolveKeyed(name, key, scope);
+
+    this._callHooks('afterResolve', { name, key, scopeName, result });
+    return result;
+  }
+
+  /**
+   * Resolve a transient service with runtime arguments
+   *
+   * The arguments are merged into the dependency object ahead of container
+   * lookups, so a destructured `reportId` comes from the call site while the rest
+   * is injected as usual. Only transient services accept arguments, since a cached
+   * instance would hand one caller's arguments to everyone else.
+   *
+   * @param {string} name - Service name
+   * @param {Object} [args={}] - Values merged into the dependency object
+   * @param {string|Scope} [scopeName] - Optional scope (or scope name), defaults to the ambient scope
+   * @returns {*} Resolved service instance
+   *
+   * @example
+   * ```javascript
+   * container.factory('reportBuilder', ({reportId, db}) => new ReportBuilder(reportId, db)).asTransient();
+   * const builder = container.resolveWith('reportBuilder', { reportId: 42 });
+   * ```
+   */
+  resolveWith(name, args = {}, scopeName = null) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+    if (args === null || typeof args !== 'object' || Array.isArray(args)) {
+      throw new Error(ERRORS.INVALID_ARGS());
+    }
+
+    const scope = this._scopeFor(scopeName);
+    scopeName = scope ? scope.name : null;
+
+    this._callHooks('beforeResolve', { name, args, scopeName });
+
+    const result = this._resolve(name, scope, [], args);
+
+    this._callHooks('afterResolve', { name, args, scopeName, result });
+    return result;
+  }
+
+  /**
+   * Get a factory function that creates a transient service from runtime arguments
+   *
+   * Inject the factory instead of the container so consumers only see what they
+   * can build.
+   *
+   * @param {string} name - Service name
+   * @returns {Function} `(args, scopeName) => instance`
+   *
+   * @example
+   * ```javascript
+   * container.value('createReportBuilder', container.factoryFor('reportBuilder'));
+   *
+   * class ReportController {
+   *   constructor({createReportBuilder}) {
+   *     this.createReportBuilder = createReportBuilder;
+   *   }
+   *   build(reportId) {
+   *     return this.createReportBuilder({ reportId }).build();
+   *   }
+   * }
+   * ```
+   */
+  factoryFor(name) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+    return (args = {}, scopeName = null) => this.resolveWith(name, args, scopeName);
+  }
+
   /**
    * Get a resolver function that can be called later
    * @param {string} name - Service name
    * @returns {Function} Resolver function
    */
   getResolver(name) {
-    if (!name || typeof name !== 'string') {
-      throw new Error('Service name must be a non-empty string');
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
     }
     return (scopeName = null) => this.resolve(name, scopeName);
   }
 
+  // ============ POOLED SERVICES ============
+
+  /**
+   * Borrow an instance of a pooled service
+   *
+   * Idle instances are reused first, new ones are created up to `max`, and once
+   * the pool is exhausted the call waits for a release, failing after
+   * `acquireTimeoutMs`. Instances acquired in a scope are released when the scope
+   * is disposed.
+   *
+   * @param {string} name - Service name
+   * @param {string|Scope} [scopeName] - Optional scope (or scope name), defaults to the ambient scope
+   * @returns {Promise<{instance: *, release: Function}>} The instance and a function handing it back
+   *
+   * @example
+   * ```javascript
+   * container.register(ParserWorker).asPooled({ min: 1, max: 4 });
+   *
+   * const { instance: parser, release } = await container.acquire('parserWorker');
+   * try {
+   *   return parser.parse(source);
+   * } finally {
+   *   release();
+   * }
+   * ```
+   */
+  async acquire(name, scopeName = null) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+
+    const scope = this._enterResolution(this._scopeFor(scopeName));
+    const pool = this._getPool(name);
+    const instance = await pool.acquire();
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      if (scope) scope._leases.delete(release);
+      pool.release(instance);
+    };
+
+    if (scope) {
+      if (scope._disposed) {
+        release();
+        throw new Error(ERRORS.SCOPE_DISPOSED(scope.name));
+      }
+      scope._leases.add(release);
+    }
+    return { instance, release };
+  }
+
+  /**
+   * Get usage statistics for a pooled service
+   * @param {string} name - Service name
+   * @returns {{size: number, available: number, inUse: number, waiters: number, min: number, max: number}}
+   *   Instances alive (including ones being created), idle, borrowed, and callers waiting
+   */
+  getPoolStats(name) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+    return this._getPool(name).stats();
+  }
+
   // ============ ADVANCED FEATURES ============
 
   /**
-   * Check if a service is registered
+   * Check if a service is registered (here or in a parent container)
    * @param {string} name - Service name
    * @returns {boolean} True if registered
    */
   has(name) {
-    return this._services.has(name);
+    name = this._canonicalName(name);
+    return this._services.has(name) || (this._parent !== null && this._parent.has(name));
   }
 
   /**
@@ -405,12 +1026,19 @@ class SDI {
    * @returns {SDI} For chaining
    */
   unregister(name) {
+    if (!this._services.has(name) && this._aliases.delete(name)) {
+      return this;
+    }
+
+    const keyed = this._keyedServices.get(name);
+    const registrations = (this._manyServices.get(name) || [this._services.get(name)])
+      .concat(keyed ? Array.from(keyed.values()) : [])
+      .filter(Boolean);
+    this._clearCached(registrations.map(service => service.cacheKey).concat(name));
+
     this._services.delete(name);
-    this._instances.delete(name);
-    // Clear from all scopes
-    this._scopes.forEach(scope => {
-      scope._instances.delete(name);
-    });
+    this._manyServices.delete(name);
+    this._keyedServices.delete(name);
     return this;
   }
 
@@ -419,315 +1047,1736 @@ class SDI {
    * @returns {SDI} For chaining
    */
   clear() {
+    this._pools.forEach((pool, key) => this._closePool(key, pool));
+    this._pools.clear();
     this._services.clear();
+    this._manyServices.clear();
+    this._keyedServices.clear();
+    this._aliases.clear();
     this._instances.clear();
+    this._pending.clear();
     this._scopes.clear();
-    this._currentResolutionStack = null;
     return this;
   }
 
   /**
-   * Get all registered service names
-   * @returns {string[]} Array of service names
-   */
-  getServiceNames() {
-    return Array.from(this._services.keys());
-  }
-
-  /**
-   * Get services by tags
-   * @param {string[]} tags - Array of tags to search for
-   * @param {string} [mode='AND'] - Search mode: 'AND' (all tags) or 'OR' (any tag)
-   * @returns {Object[]} Array of objects with {name, service, tags}
+   * Resolve every eager singleton and await its initializer
+   *
+   * Eager services are started in dependency order, so an eager service's eager
+   * dependencies are initialized first. Each instance's `onInit()` or `init()` is
+   * awaited once, even when start() is called again.
+   *
+   * @param {Object} [options={}] - Startup options
+   * @param {number} [options.timeoutMs=30000] - Fail if startup takes longer (Infinity waits forever)
+   * @returns {Promise<{durationMs: number, services: Array<{name: string, durationMs: number}>}>}
+   *   Total time and time per service, in startup order
+   * @throws {Error} Naming the service whose creation or initializer failed or timed out
+   *
+   * @example
+   * ```javascript
+   * container.register(Database).eager().asSingleton(); // async onInit() { await this.connect(); }
+   *
+   * const report = await container.start({ timeoutMs: 10000 });
+   * server.listen(3000);
+   * ```
    */
-  getServicesByTags(tags, mode = 'AND') {
-    if (!Array.isArray(tags)) {
-      throw new Error('Tags must be an array');
-    }
-    if (tags.length === 0) {
-      throw new Error('At least one tag must be provided');
-    }
-    if (mode !== 'AND' && mode !== 'OR') {
-      throw new Error("Mode must be 'AND' or 'OR'");
+  async start(options = {}) {
+    const { timeoutMs = 30000 } = options;
+    if (typeof timeoutMs !== 'number' || !(timeoutMs > 0)) {
+      throw new Error('Startup timeout must be a positive number');
     }
 
-    const results = [];
-    
-    this._services.forEach((serviceRegistration, serviceName) => {
-      const serviceTags = serviceRegistration.tags;
-      let matches = false;
+    const startedAt = Date.now();
+    const services = [];
+    let current = null;
 
-      if (mode === 'AND') {
-        // Service must have ALL specified tags
-        matches = tags.every(tag => serviceTags.has(tag));
-      } else { // mode === 'OR'
-        // Service must have ANY of the specified tags
-        matches = tags.some(tag => serviceTags.has(tag));
-      }
+    const running = (async () => {
+      for (const service of this._getEagerOrder()) {
+        current = tokenLabel(service.cacheKey);
+        const serviceStartedAt = Date.now();
+        try {
+          const instance = await this._resolveRegistrationAsync(service, this._enterResolution(null), []);
+          await this._initialize(instance);
+        } catch (error) {
+          throw new Error(ERRORS.STARTUP_FAILED(current, error.message), { cause: error });
+        }
 
-      if (matches) {
-        results.push({
-          name: serviceName,
-          service: serviceRegistration,
-          tags: Array.from(serviceTags),
-          lifecycle: serviceRegistration.lifecycle,
-          factory: serviceRegistration.factory
-        });
+        services.push({ name: current, durationMs: Date.now() - serviceStartedAt });
+        if (this.options.verbose) {
+          console.log(`[SDIJS:START] Started '${current}' in ${Date.now() - serviceStartedAt}ms`);
+        }
       }
+    })();
+    // A timed-out startup keeps running; its later failure is already reported
+    running.catch(() => {});
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      if (timeoutMs === Infinity) return;
+      timer = setTimeout(() => reject(new Error(ERRORS.STARTUP_TIMEOUT(timeoutMs, current))), timeoutMs);
+      timer.unref();
     });
 
-    return results;
+    try {
+      await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+    return { durationMs: Date.now() - startedAt, services };
+  }
+
+  /**
+   * Dispose all cached singletons and refuse further resolution
+   *
+   * Singletons are disposed in reverse creation order, so consumers are torn down
+   * before the services they depend on. Each instance is released through the
+   * first of `Symbol.asyncDispose`, `Symbol.dispose`, `dispose()` or `close()` it
+   * provides, and returned promises are awaited.
+   *
+   * @returns {Promise<void>} Resolves once every singleton has been disposed
+   * @throws {AggregateError} If one or more singletons failed to dispose
+   *
+   * @example
+   * ```javascript
+   * process.on('SIGTERM', async () => {
+   *   await container.dispose();
+   *   process.exit(0);
+   * });
+   * ```
+   */
+  async dispose() {
+    if (this._disposed) return;
+    this._disposed = true;
+
+    // Let in-flight async creations land in the cache so they are disposed too
+    await Promise.allSettled(Array.from(this._pending.values()));
+
+    const errors = [];
+
+    // Pooled instances go first, since they may use singletons
+    for (const [name, pool] of this._pools) {
+      for (const instance of pool.close(new Error(ERRORS.CONTAINER_DISPOSED()))) {
+        try {
+          await this._disposeInstance(instance);
+        } catch (error) {
+          errors.push(new Error(`Failed to dispose '${tokenLabel(name)}': ${error.message}`, { cause: error }));
+          this._callHooks('disposeError', { name: cacheName(name), error });
+        }
+      }
+    }
+    this._pools.clear();
+
+    const instances = Array.from(this._instances).reverse();
+
+    for (const [name, instance] of instances) {
+      try {
+        await this._disposeInstance(instance);
+        if (this.options.verbose) {
+          console.log(`[SDIJS:DISPOSE] Disposed singleton '${tokenLabel(name)}'`);
+        }
+      } catch (error) {
+        errors.push(new Error(`Failed to dispose '${tokenLabel(name)}': ${error.message}`, { cause: error }));
+        this._callHooks('disposeError', { name: cacheName(name), error });
+      }
+    }
+
+    this._instances.clear();
+    this._pending.clear();
+
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `Failed to dispose ${errors.length} service(s)`);
+    }
+  }
+
+  /**
+   * Dispose every open scope, then the container's singletons
+   *
+   * Scoped instances are torn down before the singletons they may use. Failures
+   * are reported through `disposeError` hooks as they happen.
+   *
+   * @param {Object} [options={}] - Shutdown options
+   * @param {number} [options.timeoutMs=10000] - Fail if disposal takes longer (Infinity waits forever)
+   * @returns {Promise<void>}
+   * @throws {AggregateError} If one or more singletons failed to dispose
+   */
+  async shutdown(options = {}) {
+    const { timeoutMs = 10000 } = options;
+    if (typeof timeoutMs !== 'number' || !(timeoutMs > 0)) {
+      throw new Error('Shutdown timeout must be a positive number');
+    }
+
+    const running = (async () => {
+      for (const scope of Array.from(this._scopes.values()).reverse()) {
+        await scope.disposeAsync();
+      }
+      await this.dispose();
+    })();
+    // A timed-out shutdown keeps running; its later failure is already reported
+    running.catch(() => {});
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      if (timeoutMs === Infinity) return;
+      timer = setTimeout(() => reject(new Error(ERRORS.SHUTDOWN_TIMEOUT(timeoutMs))), timeoutMs);
+      timer.unref();
+    });
+
+    try {
+      await Promise.race([running, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Shut the container down and exit the process on a signal
+   *
+   * The first signal runs shutdown() and exits with `exitCode`, or with 1 if
+   * disposal failed or timed out. The listeners are removed first, so a second
+   * signal falls back to Node's default and ends the process at once.
+   *
+   * @param {Object} [options={}] - Shutdown options
+   * @param {string[]} [options.signals=['SIGTERM', 'SIGINT']] - Signals to listen for
+   * @param {number} [options.timeoutMs=10000] - Passed to shutdown()
+   * @param {number} [options.exitCode=0] - Exit code after a clean shutdown
+   * @returns {SDI} For chaining
+   *
+   * @example
+   * ```javascript
+   * container
+   *   .hook('disposeError', ({name, error}) => logger.error({ name, error }, 'dispose failed'))
+   *   .enableShutdownHooks({ timeoutMs: 5000 });
+   * ```
+   */
+  enableShutdownHooks(options = {}) {
+    const { signals = ['SIGTERM', 'SIGINT'], timeoutMs = 10000, exitCode = 0 } = options;
+    if (!Array.isArray(signals) || signals.length === 0) {
+      throw new Error('Shutdown signals must be a non-empty array');
+    }
+
+    this.disableShutdownHooks();
+
+    const onSignal = async (signal) => {
+      this.disableShutdownHooks();
+      if (this.options.verbose) {
+        console.log(`[SDIJS:SHUTDOWN] Received ${signal}, disposing scopes and singletons`);
+      }
+
+      let code = exitCode;
+      try {
+        await this.shutdown({ timeoutMs });
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+        code = 1;
+      }
+      process.exit(code);
+    };
+
+    signals.forEach(signal => {
+      process.on(signal, onSignal);
+      this._shutdownListeners.set(signal, onSignal);
+    });
+    return this;
+  }
+
+  /**
+   * Remove the signal listeners added by enableShutdownHooks()
+   * @returns {SDI} For chaining
+   */
+  disableShutdownHooks() {
+    this._shutdownListeners.forEach((listener, signal) => process.off(signal, listener));
+    this._shutdownListeners.clear();
+    return this;
+  }
+
+  /**
+   * Get all registered service names
+   * @param {Object} [options={}] - Listing options
+   * @param {boolean} [options.includeInherited=false] - Include names registered in parent containers
+   * @param {boolean} [options.includeAliases=false] - Include alias names
+   * @returns {string[]} Array of service names
+   */
+  getServiceNames(options = {}) {
+    const names = Array.from(this._services.keys());
+    if (options.includeAliases) {
+      names.push(...Array.from(this._aliases.keys()).filter(alias => !this._services.has(alias)));
+    }
+    if (!options.includeInherited || !this._parent) {
+      return names;
+    }
+    const inherited = this._parent.getServiceNames(options).filter(name => !names.includes(name));
+    return names.concat(inherited);
+  }
+
+  /**
+   * Get the aliases defined with alias()
+   * @returns {Object} Object where keys are aliases and values are their targets
+   */
+  getAliases() {
+    return Object.fromEntries(this._aliases);
+  }
+
+  /**
+   * Get services by tags
+   * @param {string[]} tags - Array of tags to search for
+   * @param {string} [mode='AND'] - Search mode: 'AND' (all tags) or 'OR' (any tag)
+   * @param {Object} [options={}] - Search options
+   * @param {boolean} [options.includeInherited=false] - Include services registered in parent containers
+   * @returns {Object[]} Array of objects with {name, service, tags, inherited}
+   */
+  getServicesByTags(tags, mode = 'AND', options = {}) {
+    if (!Array.isArray(tags)) {
+      throw new Error('Tags must be an array');
+    }
+    if (tags.length === 0) {
+      throw new Error('At least one tag must be provided');
+    }
+    if (mode !== 'AND' && mode !== 'OR') {
+      throw new Error("Mode must be 'AND' or 'OR'");
+    }
+
+    const results = [];
+    
+    this._allRegistrations().forEach(serviceRegistration => {
+      const serviceName = serviceRegistration.token;
+      const serviceTags = serviceRegistration.tags;
+      let matches = false;
+
+      if (mode === 'AND') {
+        // Service must have ALL specified tags
+        matches = tags.every(tag => serviceTags.has(tag));
+      } else { // mode === 'OR'
+        // Service must have ANY of the specified tags
+        matches = tags.some(tag => serviceTags.has(tag));
+      }
+
+      if (matches) {
+        results.push({
+          name: serviceName,
+          service: serviceRegistration,
+          tags: Array.from(serviceTags),
+          lifecycle: serviceRegistration.lifecycle,
+          factory: serviceRegistration.factory,
+          key: serviceRegistration.key,
+          inherited: false
+        });
+      }
+    });
+
+    // Parent services are listed unless the child overrides their name
+    if (options.includeInherited && this._parent) {
+      this._parent.getServicesByTags(tags, mode, options).forEach(result => {
+        const overridden = result.key === undefined
+          ? this._services.has(result.name)
+          : this._getLocalKeyed(result.name, result.key) !== undefined;
+        if (!overridden) {
+          results.push({ ...result, inherited: true });
+        }
+      });
+    }
+
+    return results;
   }
 
   /**
    * Get service names by tags (simplified version)
    * @param {string[]} tags - Array of tags to search for
    * @param {string} [mode='AND'] - Search mode: 'AND' (all tags) or 'OR' (any tag)
+   * @param {Object} [options={}] - Search options, see getServicesByTags()
    * @returns {string[]} Array of service names
    */
-  getServiceNamesByTags(tags, mode = 'AND') {
-    return this.getServicesByTags(tags, mode).map(result => result.name);
+  getServiceNamesByTags(tags, mode = 'AND', options = {}) {
+    return this.getServicesByTags(tags, mode, options).map(result => result.name);
+  }
+
+  /**
+   * Resolve services by tags
+   * @param {string[]} tags - Array of tags to search for
+   * @param {string} [mode='AND'] - Search mode: 'AND' (all tags) or 'OR' (any tag) 
+   * @param {string} [scopeName] - Optional scope name
+   * @returns {Object[]} Array of objects with {name, instance, tags}
+   */
+  resolveServicesByTags(tags, mode = 'AND', scopeName = null) {
+    const serviceInfos = this.getServicesByTags(tags, mode);
+    const scope = this._scopeFor(scopeName);
+    
+    return serviceInfos.map(serviceInfo => ({
+      name: serviceInfo.name,
+      key: serviceInfo.key,
+      instance: this._resolveEntry(serviceInfo.service, scope),
+      tags: serviceInfo.tags,
+      lifecycle: serviceInfo.lifecycle
+    }));
+  }
+
+  /**
+   * Get all unique tags from registered services
+   * @returns {string[]} Array of all unique tags
+   */
+  getAllTags() {
+    const allTags = new Set();
+    
+    this._allRegistrations().forEach(serviceRegistration => {
+      serviceRegistration.tags.forEach(tag => {
+        allTags.add(tag);
+      });
+    });
+    
+    return Array.from(allTags).sort();
+  }
+
+  /**
+   * Get services grouped by tag
+   * @returns {Object} Object where keys are tags and values are arrays of service names
+   */
+  getServicesByTag() {
+    const tagGroups = {};
+    
+    this._allRegistrations().forEach(serviceRegistration => {
+      const serviceName = serviceRegistration.token;
+      serviceRegistration.tags.forEach(tag => {
+        if (!tagGroups[tag]) {
+          tagGroups[tag] = [];
+        }
+        if (tagGroups[tag].includes(serviceName)) return;
+        tagGroups[tag].push(serviceName);
+      });
+    });
+    
+    return tagGroups;
+  }
+
+  /**
+   * Describe how a service is registered and decorated
+   *
+   * The decorator chain is listed in the order it is applied, including
+   * decorateAll() rules. Conditions are evaluated now, against the ambient scope,
+   * and entries whose condition is false are reported with `active: false`.
+   *
+   * @param {string|symbol|Function} name - Service name or token
+   * @returns {Object} {name, lifecycle, tags, dependencies, decorators, interceptors, inherited}
+   *
+   * @example
+   * ```javascript
+   * container.describe('userRepository').decorators;
+   * // [{ name: 'timingDecorator', type: 'service', source: 'global', priority: 10, active: true },
+   * //  { name: 'cacheDecorator', type: 'service', source: 'service', priority: 0, active: false }]
+   * ```
+   */
+  describe(name) {
+    const service = this._getRegistration(name);
+    if (!service) {
+      throw new Error(ERRORS.MODULE_NOT_FOUND(tokenLabel(name)));
+    }
+
+    return {
+      name: service.name,
+      lifecycle: service.lifecycle,
+      tags: Array.from(service.tags),
+      dependencies: this._getDependencyNames(service),
+      decorators: this._getDecoratorChain(service).map(entry => ({
+        name: entry.label,
+        type: typeof entry.decorator === 'string' ? 'service' : 'function',
+        source: entry.source,
+        priority: entry.priority,
+        active: this._isDecoratorActive(entry, service, null)
+      })),
+      interceptors: (service.interceptors || []).length,
+      inherited: !this._services.has(this._canonicalName(name))
+    };
+  }
+
+  // ============ VERIFICATION ============
+
+  /**
+   * Statically verify every registration without instantiating application code
+   *
+   * Dependencies come from `.dependsOn([...])` when declared, otherwise from the
+   * destructuring pattern of the constructor or factory's first parameter. Services
+   * whose dependencies cannot be determined (e.g. `constructor(deps)`) are listed
+   * in `unanalyzed` and skipped.
+   *
+   * @param {Object} [options={}] - Validation options
+   * @param {string[]} [options.tags=[]] - Tags that must be carried by at least one service
+   * @returns {Object} Report with {valid, missing, cycles, captive, unknownDecorators, emptyTags, unanalyzed}
+   *
+   * @example
+   * ```javascript
+   * const report = container.validate({ tags: ['repository'] });
+   * if (!report.valid) {
+   *   console.error(report);
+   *   process.exit(1);
+   * }
+   * ```
+   */
+  validate(options = {}) {
+    const { tags = [] } = options;
+    if (!Array.isArray(tags)) {
+      throw new Error('Tags must be an array');
+    }
+
+    const report = {
+      valid: true,
+      missing: [],
+      cycles: [],
+      captive: [],
+      unknownDecorators: [],
+      emptyTags: [],
+      unanalyzed: []
+    };
+
+    // Build the dependency graph: edges point at registrations, decorators included
+    const graph = new Map();
+    this._allRegistrations().forEach(service => {
+      const name = service.name;
+      const edges = [];
+      const dependencies = this._getDependencyNames(service);
+
+      if (dependencies === null) {
+        report.unanalyzed.push(name);
+      } else {
+        dependencies.forEach(dependency => {
+          const target = this._getDependencyRegistration(service, dependency);
+          if (target) {
+            // Lazy dependencies resolve after construction and cannot form a cycle
+            if (!service.lazy || !service.lazy.has(dependency)) edges.push(target);
+          } else if (!service.optional || !service.optional.has(dependency)) {
+            report.missing.push({ service: name, dependency: tokenLabel(dependency) });
+          }
+        });
+      }
+
+      this._getDecoratorNames(service).forEach(decorator => {
+        const target = this._getRegistration(decorator);
+        if (target) {
+          edges.push(target);
+        } else {
+          report.unknownDecorators.push({ service: name, decorator });
+        }
+      });
+
+      graph.set(service, edges);
+    });
+
+    // Any chain with a captive link has a direct edge where the lifetime drops
+    if (this.options.lifetimeValidation !== 'off') {
+      graph.forEach((edges, service) => {
+        edges.forEach(target => {
+          const chain = this._findCaptiveChain(target, [service]);
+          if (chain) {
+            report.captive.push({ service: service.name, dependency: target.name, chain });
+          }
+        });
+      });
+    }
+
+    report.cycles = this._findCycles(graph);
+
+    const allTags = new Set(this.getAllTags());
+    report.emptyTags = tags.filter(tag => !allTags.has(tag));
+
+    report.valid = report.missing.length === 0 &&
+                   report.cycles.length === 0 &&
+                   report.captive.length === 0 &&
+                   report.unknownDecorators.length === 0 &&
+                   report.emptyTags.length === 0;
+    return report;
+  }
+
+  /**
+   * Export the service dependency graph
+   *
+   * Edges combine dependencies declared with `.dependsOn()` or parsed from the
+   * implementation with those actually accessed through the dependency proxy.
+   * Edges that take part in a cycle are highlighted.
+   *
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.format='json'] - 'dot', 'mermaid' or 'json'
+   * @param {string[]} [options.tags] - Only include services matching these tags
+   * @param {string} [options.mode='AND'] - Tag matching mode, as in getServicesByTags()
+   * @returns {string|Object} DOT or Mermaid source, or a {nodes, edges, cycles} object for 'json'
+   *
+   * @example
+   * ```javascript
+   * fs.writeFileSync('services.dot', container.toGraph({ format: 'dot' }));
+   * const repositories = container.toGraph({ format: 'mermaid', tags: ['repository'] });
+   * ```
+   */
+  toGraph(options = {}) {
+    const { format = 'json', tags = null, mode = 'AND' } = options;
+    if (!['dot', 'mermaid', 'json'].includes(format)) {
+      throw new Error(ERRORS.INVALID_GRAPH_FORMAT(format));
+    }
+
+    const included = tags
+      ? this.getServicesByTags(tags, mode).map(result => result.service)
+      : this._allRegistrations();
+    const includedSet = new Set(included);
+
+    // Registrations sharing a name (asMany(), withKey()) are told apart by cache key
+    const nodes = included.map(service => ({
+      name: tokenLabel(service.cacheKey),
+      lifecycle: service.lifecycle,
+      tags: Array.from(service.tags),
+      decorators: this._getDecoratorChain(service).map(entry =>
+        typeof entry.decorator === 'string' ? entry.decorator : entry.decorator.name || 'custom')
+    }));
+
+    const edges = [];
+    const graph = new Map();
+    included.forEach(service => {
+      const declared = this._getDependencyNames(service) || [];
+      const observed = this._observedDependencies.get(service) || new Set();
+      const targets = [];
+
+      new Set([...declared, ...observed]).forEach(dependency => {
+        const target = this._getDependencyRegistration(service, dependency);
+        if (target && !includedSet.has(target)) return;
+
+        const to = tokenLabel(target ? target.cacheKey : dependency);
+        if (!target && !nodes.some(node => node.name === to)) {
+          nodes.push({ name: to, lifecycle: null, tags: [], decorators: [], missing: true });
+        }
+        if (target && !(service.lazy && service.lazy.has(dependency))) targets.push(target);
+        edges.push({
+          from: tokenLabel(service.cacheKey),
+          to,
+          observed: observed.has(dependency),
+          cycle: false
+        });
+      });
+      graph.set(service, targets);
+    });
+
+    const cycles = this._findCycles(graph, service => tokenLabel(service.cacheKey));
+    cycles.forEach(cycle => {
+      for (let i = 0; i < cycle.length - 1; i++) {
+        edges
+          .filter(edge => edge.from === cycle[i] && edge.to === cycle[i + 1])
+          .forEach(edge => { edge.cycle = true; });
+      }
+    });
+
+    if (format === 'dot') return this._formatDot(nodes, edges);
+    if (format === 'mermaid') return this._formatMermaid(nodes, edges);
+    return { nodes, edges, cycles };
+  }
+
+  /**
+   * Add lifecycle hooks
+   * @param {string} event - Hook event name
+   * @param {Function} callback - Hook callback
+   * @returns {SDI} For chaining
+   */
+  hook(event, callback) {
+    if (!event || typeof event !== 'string') {
+      throw new Error('Hook event must be a non-empty string');
+    }
+    if (typeof callback !== 'function') {
+      throw new Error('Hook callback must be a function');
+    }
+    
+    if (this._hooks[event]) {
+      if (this._hooks[event].length >= this.options.maxHooksPerEvent) {
+        throw new Error(ERRORS.HOOK_LIMIT(this.options.maxHooksPerEvent));
+      }
+      this._hooks[event].push(callback);
+    }
+    return this;
+  }
+
+  /**
+   * Remove all hooks for an event
+   * @param {string} event - Hook event name
+   * @returns {SDI} For chaining
+   */
+  clearHooks(event) {
+    if (this._hooks[event]) {
+      this._hooks[event] = [];
+    }
+    return this;
+  }
+
+  // ============ INTERNAL METHODS ============
+
+  /**
+   * Resolve a service synchronously
+   *
+   * The resolution path is threaded through every call instead of living on the
+   * container, so re-entrant resolutions (hooks, factories resolving other services)
+   * and resolutions resumed after an await never see each other's state.
+   *
+   * @param {string} name - Service name
+   * @param {Scope} [scope] - The current scope, defaults to the ambient scope
+   * @param {Object[]} [path=[]] - Registrations of the services being resolved, outermost first
+   * @returns {*} Resolved service instance
+   */
+  _resolve(name, scope = null, path = [], args = null) {
+    scope = this._enterResolution(scope);
+    name = this._canonicalName(name);
+
+    const service = this._getScopeRegistration(scope, name) || this._services.get(name);
+    if (!service) {
+      if (this._parent) return this._parent._resolve(name, scope, path, args);
+      throw new Error(ERRORS.MODULE_NOT_FOUND(tokenLabel(name)));
+    }
+    return this._resolveRegistration(service, scope, path, args);
+  }
+
+  /**
+   * Resolve a registration owned by this container
+   *
+   * Instances are cached under the registration's cache key, which is the service
+   * name unless several registrations share that name.
+   *
+   * @param {Object} service - The service configuration
+   * @param {Scope|null} scope - The current scope, already checked by _enterResolution()
+   * @param {Object[]} path - Registrations of the services being resolved, outermost first
+   * @param {Object|null} [args] - Runtime arguments, transient services only
+   * @returns {*} Resolved service instance
+   */
+  _resolveRegistration(service, scope, path, args = null) {
+    const { name, cacheKey } = service;
+    if (service.lifecycle === LIFECYCLE.POOLED) {
+      throw new Error(ERRORS.POOLED_RESOLVE(name));
+    }
+    if (service.lifecycle === LIFECYCLE.SCOPED && !scope) {
+      throw new Error(ERRORS.NO_ACTIVE_SCOPE(name));
+    }
+    // A cached instance would leak one caller's arguments to every other caller
+    if (args && service.lifecycle !== LIFECYCLE.TRANSIENT) {
+      throw new Error(ERRORS.ARGS_NOT_TRANSIENT(name, service.lifecycle));
+    }
+    this._validateLifetime(service, path);
+    scope = this._getOwnerScope(service, scope);
+
+    // Check scope cache first
+    if (scope && scope._instances.has(cacheKey)) {
+      return scope._instances.get(cacheKey);
+    }
+
+    // Check singleton cache
+    if (service.lifecycle === LIFECYCLE.SINGLETON && this._instances.has(cacheKey)) {
+      return this._instances.get(cacheKey);
+    }
+
+    // Check for circular dependencies
+    if (path.includes(service)) {
+      throw new Error(ERRORS.CIRCULAR_DEPENDENCY(path.map(entry => entry.name).concat(name)));
+    }
+
+    const instance = this._createInstance(service, scope, path.concat(service), args);
+    
+    // Cache based on lifecycle
+    if (service.lifecycle === LIFECYCLE.SINGLETON) {
+      this._checkMemoryLimits('instances');
+      this._instances.set(cacheKey, instance);
+    } else if (service.lifecycle === LIFECYCLE.SCOPED) {
+      scope._instances.set(cacheKey, instance);
+    }
+    
+    return instance;
+  }
+
+  async _resolveAsync(name, scope, path) {
+    scope = this._enterResolution(scope);
+    name = this._canonicalName(name);
+
+    const service = this._getScopeRegistration(scope, name) || this._services.get(name);
+    if (!service) {
+      if (this._parent) return this._parent._resolveAsync(name, scope, path);
+      throw new Error(ERRORS.MODULE_NOT_FOUND(tokenLabel(name)));
+    }
+    return this._resolveRegistrationAsync(service, scope, path);
+  }
+
+  async _resolveRegistrationAsync(service, scope, path) {
+    const { name, cacheKey } = service;
+    if (service.lifecycle === LIFECYCLE.POOLED) {
+      throw new Error(ERRORS.POOLED_RESOLVE(name));
+    }
+    if (service.lifecycle === LIFECYCLE.SCOPED && !scope) {
+      throw new Error(ERRORS.NO_ACTIVE_SCOPE(name));
+    }
+    this._validateLifetime(service, path);
+    scope = this._getOwnerScope(service, scope);
+
+    // Singletons cache in the container, scoped services in their scope
+    let cache = null;
+    if (service.lifecycle === LIFECYCLE.SINGLETON) {
+      cache = { instances: this._instances, pending: this._pending };
+    } else if (service.lifecycle === LIFECYCLE.SCOPED) {
+      cache = { instances: scope._instances, pending: scope._pending };
+    }
+
+    if (cache && cache.instances.has(cacheKey)) {
+      return cache.instances.get(cacheKey);
+    }
+
+    // Check for circular dependencies before joining an in-flight creation
+    if (path.includes(service)) {
+      throw new Error(ERRORS.CIRCULAR_DEPENDENCY(path.map(entry => entry.name).concat(name)));
+    }
+
+    if (!cache) {
+      return this._createInstanceAsync(service, scope, path.concat(service));
+    }
+    // Share the in-flight creation so concurrent callers get the same instance
+    if (cache.pending.has(cacheKey)) {
+      return cache.pending.get(cacheKey);
+    }
+
+    const creation = this._createInstanceAsync(service, scope, path.concat(service));
+    cache.pending.set(cacheKey, creation);
+
+    try {
+      const instance = await creation;
+      if (service.lifecycle === LIFECYCLE.SINGLETON) {
+        this._checkMemoryLimits('instances');
+      }
+      cache.instances.set(cacheKey, instance);
+      return instance;
+    } finally {
+      cache.pending.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Pick the scope a scoped service is cached in and resolved from
+   *
+   * Services registered with `.asScoped(level)` live in the nearest scope of that
+   * level, and scope registrations in the scope they were registered in. Others
+   * always live in the current scope, so a child never shares its parent's instance.
+   *
+   * @param {Object} service - The service configuration
+   * @param {Scope|null} scope - The current scope
+   * @returns {Scope|null} The owning scope, or the current scope for other lifecycles
+   */
+  _getOwnerScope(service, scope) {
+    if (service.lifecycle !== LIFECYCLE.SCOPED) return scope;
+    if (service.ownerScope) return service.ownerScope;
+
+    const { scopeLevel } = service;
+    if (!scopeLevel) return scope;
+
+    for (let current = scope; current; current = current.parent) {
+      if (current.level === scopeLevel) return current;
+    }
+    throw new Error(ERRORS.SCOPE_LEVEL_NOT_FOUND(service.name, scopeLevel, scope.name));
+  }
+
+  _resolveKeyed(name, key, scope = null, path = []) {
+    scope = this._enterResolution(scope);
+
+    const service = this._getLocalKeyed(name, key);
+    if (!service) {
+      if (this._parent) return this._parent._resolveKeyed(name, key, scope, path);
+      throw new Error(ERRORS.KEYED_NOT_FOUND(keyedLabel(name, key)));
+    }
+    return this._resolveRegistration(service, scope, path);
+  }
+
+  async _resolveKeyedAsync(name, key, scope, path) {
+    scope = this._enterResolution(scope);
+
+    const service = this._getLocalKeyed(name, key);
+    if (!service) {
+      if (this._parent) return this._parent._resolveKeyedAsync(name, key, scope, path);
+      throw new Error(ERRORS.KEYED_NOT_FOUND(keyedLabel(name, key)));
+    }
+    return this._resolveRegistrationAsync(service, scope, path);
+  }
+
+  /**
+   * Resolve a dependency of a service, honouring its withKeyed() mapping
+   * @param {Object} service - The consumer's service configuration
+   * @param {string} name - Dependency name
+   * @param {Scope|null} scope - The current scope
+   * @param {Object[]} path - Registrations of the services being resolved, outermost first
+   * @returns {*} Resolved dependency
+   */
+  _resolveDependency(service, name, scope, path) {
+    if (service.keyed && service.keyed.has(name)) {
+      return this._resolveKeyed(name, service.keyed.get(name), scope, path);
+    }
+    return this._resolve(this._dependencyToken(service, name), scope, path);
+  }
+
+  _resolveDependencyAsync(service, name, scope, path) {
+    if (service.keyed && service.keyed.has(name)) {
+      return this._resolveKeyedAsync(name, service.keyed.get(name), scope, path);
+    }
+    return this._resolveAsync(this._dependencyToken(service, name), scope, path);
+  }
+
+  /**
+   * Map a dependency name to the token set with withTokens(), if any
+   * @param {Object} service - The consumer's service configuration
+   * @param {string|symbol} name - Dependency name
+   * @returns {string|symbol|Function} Token to resolve
+   */
+  _dependencyToken(service, name) {
+    return service.tokens && service.tokens.has(name) ? service.tokens.get(name) : name;
+  }
+
+  /**
+   * Follow aliases to the name of a registration
+   * @param {string} name - Service name or alias
+   * @returns {string} The registered name, or the input when it is not an alias
+   */
+  _canonicalName(name) {
+    while (!this._services.has(name) && this._aliases.has(name)) {
+      name = this._aliases.get(name);
+    }
+    return name;
+  }
+
+  /**
+   * Check the container and scope can resolve services
+   * @param {Scope|null} scope - Explicit scope, if any
+   * @returns {Scope|null} The explicit or ambient scope
+   */
+  _enterResolution(scope) {
+    if (this._disposed) {
+      throw new Error(ERRORS.CONTAINER_DISPOSED());
+    }
+
+    scope = scope || this.currentScope();
+    if (!scope) return null;
+
+    scope._expire();
+    if (scope._disposed) {
+      throw new Error(scope._expiredBy
+        ? ERRORS.SCOPE_EXPIRED(scope.name, scope._expiredBy)
+        : ERRORS.SCOPE_DISPOSED(scope.name));
+    }
+    scope.lastResolvedAt = Date.now();
+    return scope;
+  }
+
+  /**
+   * Resolve one registration on behalf of a public method, calling resolve hooks
+   * @param {Object} service - The service configuration, owned by this container
+   * @param {Scope|null} scope - The requested scope
+   * @returns {*} Resolved service instance
+   */
+  _resolveEntry(service, scope) {
+    const name = service.token;
+    const scopeName = scope ? scope.name : null;
+
+    this._callHooks('beforeResolve', { name, scopeName });
+
+    const result = this._resolveRegistration(service, this._enterResolution(scope), []);
+
+    this._callHooks('afterResolve', { name, scopeName, result });
+    return result;
+  }
+
+  /**
+   * Get every registration under a name, falling back to parent containers
+   * @param {string} name - Service name
+   * @returns {{container: SDI, entries: Object[]}|null} Owning container and its registrations
+   */
+  _getEntries(name) {
+    name = this._canonicalName(name);
+    if (this._services.has(name)) {
+      const entries = this._manyServices.get(name) || [this._services.get(name)];
+      return { container: this, entries };
+    }
+    return this._parent ? this._parent._getEntries(name) : null;
+  }
+
+  _getLocalKeyed(name, key) {
+    const entries = this._keyedServices.get(this._canonicalName(name));
+    return entries ? entries.get(key) : undefined;
+  }
+
+  /**
+   * List local registrations, including asMany() and withKey() entries
+   * @returns {Object[]} Registrations in registration order per name
+   */
+  _allRegistrations() {
+    const registrations = [];
+    this._services.forEach((service, name) => {
+      registrations.push(...(this._manyServices.get(name) || [service]));
+    });
+    this._keyedServices.forEach(entries => {
+      registrations.push(...entries.values());
+    });
+    return registrations;
+  }
+
+  /**
+   * Order this container's eager registrations so dependencies come first
+   * @returns {Object[]} Eager registrations in startup order
+   */
+  _getEagerOrder() {
+    const local = new Set(this._allRegistrations());
+    const visited = new Set();
+    const order = [];
+
+    const visit = (service) => {
+      if (visited.has(service)) return;
+      visited.add(service);
+
+      (this._getDependencyNames(service) || []).forEach(dependency => {
+        if (service.lazy && service.lazy.has(dependency)) return;
+        const target = this._getDependencyRegistration(service, dependency);
+        if (target) visit(target);
+      });
+      if (service.eager && local.has(service)) order.push(service);
+    };
+
+    local.forEach(service => {
+      if (service.eager) visit(service);
+    });
+    return order;
+  }
+
+  /**
+   * Await the first initializer an instance provides, once per instance
+   * @param {*} instance - The resolved instance
+   * @returns {Promise<void>}
+   */
+  async _initialize(instance) {
+    if (instance === null || (typeof instance !== 'object' && typeof instance !== 'function')) return;
+    if (this._initialized.has(instance)) return;
+
+    const method = INIT_METHODS.find(name => typeof instance[name] === 'function');
+    if (method) {
+      await instance[method]();
+    }
+    this._initialized.add(instance);
+  }
+
+  _getPool(name) {
+    name = this._canonicalName(name);
+
+    const service = this._services.get(name);
+    if (!service) {
+      if (this._parent) return this._parent._getPool(name);
+      throw new Error(ERRORS.MODULE_NOT_FOUND(tokenLabel(name)));
+    }
+    if (service.lifecycle !== LIFECYCLE.POOLED) {
+      throw new Error(ERRORS.NOT_POOLED(service.name, service.lifecycle));
+    }
+
+    let pool = this._pools.get(service.cacheKey);
+    if (!pool) {
+      pool = new ServicePool(this, service);
+      this._pools.set(service.cacheKey, pool);
+    }
+    return pool;
+  }
+
+  /**
+   * Drop cached instances, here and in every scope
+   * @param {string[]} keys - Cache keys of the registrations
+   */
+  _clearCached(keys) {
+    keys.forEach(key => {
+      this._instances.delete(key);
+      this._pending.delete(key);
+      if (this._pools.has(key)) this._closePool(key, this._pools.get(key));
+      this._pools.delete(key);
+      // Clear from all scopes too
+      this._scopes.forEach(scope => {
+        scope._instances.delete(key);
+        scope._pending.delete(key);
+      });
+    });
+  }
+
+  /**
+   * Close a pool and dispose its idle and borrowed instances
+   * @param {*} key - Cache key of the pooled registration
+   * @param {ServicePool} pool - The pool to close
+   */
+  _closePool(key, pool) {
+    const report = (error) => {
+      console.warn(`Failed to dispose ${tokenLabel(key)}:`, error);
+      this._callHooks('disposeError', { name: cacheName(key), error });
+    };
+    pool.close().forEach(instance => {
+      try {
+        const result = this._disposeInstance(instance);
+        if (this._isThenable(result)) result.catch(report);
+      } catch (error) {
+        report(error);
+      }
+    });
+  }
+
+  /**
+   * Detect a longer-lived consumer capturing a shorter-lived dependency
+   *
+   * Everything created below a consumer lives as long as it does, so ancestors are
+   * checked too (e.g. a scoped service injected into a transient created for a singleton).
+   *
+   * @param {Object} service - The dependency being resolved
+   * @param {Object[]} path - Registrations of the consumers, outermost first
+   */
+  _validateLifetime(service, path) {
+    const mode = this.options.lifetimeValidation;
+    if (mode === 'off') return;
+
+    const chain = this._findCaptiveChain(service, path);
+    if (!chain) return;
+
+    if (mode === 'warn') {
+      console.warn(`⚠️  ${ERRORS.CAPTIVE_DEPENDENCY(chain)}`);
+      return;
+    }
+    throw new Error(ERRORS.CAPTIVE_DEPENDENCY(chain));
+  }
+
+  /**
+   * Describe the chain from the nearest consumer that outlives a dependency
+   *
+   * A transient owned by a longer-lived consumer is a common, deliberate pattern,
+   * so transient dependencies are only captives with the transientCaptives option.
+   *
+   * @param {Object} service - The dependency being resolved
+   * @param {Object[]} path - Registrations of the consumers, outermost first
+   * @returns {string|null} e.g. 'singleton userService → scoped requestContext', or null
+   */
+  _findCaptiveChain(service, path) {
+    if (service.lifecycle === LIFECYCLE.TRANSIENT && !this.options.transientCaptives) return null;
+
+    const rank = this._lifetimeRank(service);
+    let ownerIndex = path.length - 1;
+    while (ownerIndex >= 0 && this._lifetimeRank(path[ownerIndex]) <= rank) {
+      ownerIndex--;
+    }
+    if (ownerIndex === -1) return null;
+
+    return path.slice(ownerIndex).concat(service)
+      .map(entry => `${entry.lifecycle} ${entry.name}`)
+      .join(' → ');
+  }
+
+  _lifetimeRank(service) {
+    const rank = LIFETIME_RANK[service.lifecycle];
+    // Scope registrations, values included, live no longer than their scope
+    return service.ownerScope ? Math.min(rank, LIFETIME_RANK[LIFECYCLE.SCOPED]) : rank;
+  }
+
+  /**
+   * Optional dependencies that are not registered resolve to undefined,
+   * so destructuring defaults apply
+   */
+  _isMissingOptional(service, name, scope = null) {
+    return Boolean(service.optional && service.optional.has(name)) &&
+      !this._getDependencyRegistration(service, name) &&
+      !this._getScopeRegistration(scope, this._canonicalName(this._dependencyToken(service, name)));
+  }
+
+  /**
+   * Find a registration made with Scope#value() or Scope#register() in the scope or its ancestors
+   * @param {Scope|null} scope - The current scope
+   * @param {string} name - Canonical service name
+   * @returns {Object|undefined} The scope registration
+   */
+  _getScopeRegistration(scope, name) {
+    for (let current = scope; current; current = current.parent) {
+      const service = current._services.get(name);
+      if (service) return service;
+    }
+    return undefined;
+  }
+
+  _recordDependency(service, name) {
+    let names = this._observedDependencies.get(service);
+    if (!names) {
+      names = new Set();
+      this._observedDependencies.set(service, names);
+    }
+    names.add(name);
+  }
+
+  _graphLabel(node) {
+    if (node.missing) return [node.name, '(missing)'];
+    return [node.name, node.lifecycle]
+      .concat(node.tags.length ? [node.tags.map(tag => `#${tag}`).join(' ')] : [])
+      .concat(node.decorators.length ? [node.decorators.map(decorator => `@${decorator}`).join(' ')] : []);
+  }
+
+  _formatDot(nodes, edges) {
+    const quote = (text) => `"${String(text).replace(/["\\]/g, '\\$&')}"`;
+    const lines = ['digraph SDI {', '  rankdir=LR;', '  node [shape=box];'];
+
+    nodes.forEach(node => {
+      const label = this._graphLabel(node).map(line => String(line).replace(/["\\]/g, '\\$&')).join('\\n');
+      lines.push(`  ${quote(node.name)} [label="${label}"${node.missing ? ', style=dashed' : ''}];`);
+    });
+    edges.forEach(edge => {
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${edge.cycle ? ' [color=red, penwidth=2]' : ''};`);
+    });
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  _formatMermaid(nodes, edges) {
+    // Names may hold any character, and sanitized ones collide, so IDs come from the node index
+    const ids = new Map();
+    nodes.forEach((node, index) => {
+      if (!ids.has(node.name)) ids.set(node.name, `n${index}`);
+    });
+    const id = (name) => ids.get(name);
+    const lines = ['graph LR'];
+
+    nodes.forEach(node => {
+      const label = this._graphLabel(node).map(line => String(line).replace(/"/g, '#quot;')).join('<br/>');
+      lines.push(`  ${id(node.name)}${node.missing ? `(["${label}"])` : `["${label}"]`}`);
+    });
+    edges.forEach(edge => {
+      lines.push(`  ${id(edge.from)} --> ${id(edge.to)}`);
+    });
+    edges.forEach((edge, index) => {
+      if (edge.cycle) lines.push(`  linkStyle ${index} stroke:#d33,stroke-width:2px`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Find a registration here or in a parent container
+   * @param {string} name - Service name
+   * @returns {Object|undefined} The registration
+   */
+  _getRegistration(name) {
+    name = this._canonicalName(name);
+    const service = this._services.get(name);
+    if (service || !this._parent) return service;
+    return this._parent._getRegistration(name);
+  }
+
+  /**
+   * Find the registration a dependency name refers to, honouring withKeyed()
+   * @param {Object} service - The consumer's service configuration
+   * @param {string} name - Dependency name
+   * @returns {Object|undefined} The registration
+   */
+  _getDependencyRegistration(service, name) {
+    if (service.keyed && service.keyed.has(name)) {
+      return this._getKeyedRegistration(name, service.keyed.get(name));
+    }
+    return this._getRegistration(this._dependencyToken(service, name));
+  }
+
+  _getKeyedRegistration(name, key) {
+    const service = this._getLocalKeyed(name, key);
+    if (service || !this._parent) return service;
+    return this._parent._getKeyedRegistration(name, key);
+  }
+
+  /**
+   * Get the dependency names a registration uses
+   * @param {Object} service - The service configuration
+   * @returns {string[]|null} Declared or parsed names, or null when unknown
+   */
+  _getDependencyNames(service) {
+    if (service.dependencies) return service.dependencies;
+    if (service.lifecycle === LIFECYCLE.VALUE || typeof service.implementation !== 'function') {
+      return [];
+    }
+    return this._parseDependencyNames(service.implementation);
+  }
+
+  /**
+   * Read the names destructured from the first parameter of a class constructor or function
+   * @param {Function} fn - Class or function to inspect (never called)
+   * @returns {string[]|null} Destructured names, or null when the pattern is not a plain object pattern
+   */
+  _parseDependencyNames(fn) {
+    const source = Function.prototype.toString.call(fn);
+    let start;
+
+    if (/^class[\s{]/.test(source)) {
+      const match = /(?<![.\w$])constructor\s*\(/.exec(source);
+      if (!match) {
+        // No own constructor: inherit the parent's, or take no dependencies
+        const parent = Object.getPrototypeOf(fn);
+        return parent && parent !== Function.prototype ? this._parseDependencyNames(parent) : [];
+      }
+      start = match.index + match[0].length - 1;
+    } else {
+      start = source.indexOf('(');
+      // Single unparenthesized arrow parameter, e.g. `deps => deps.logger`
+      if (start === -1 || /^(async\s+)?[\w$]+\s*=>/.test(source)) return null;
+    }
+
+    const params = this._readBalanced(source, start);
+    if (params === null) return null;
+
+    const first = this._splitTopLevel(params.slice(1, -1))[0] || '';
+    if (first === '') return [];
+    if (!first.startsWith('{')) return null;
+
+    const pattern = this._readBalanced(first, 0);
+    if (pattern === null) return null;
+
+    const names = [];
+    for (const entry of this._splitTopLevel(pattern.slice(1, -1))) {
+      if (entry === '' || entry.startsWith('...')) continue;
+      // Computed keys cannot be known statically
+      if (entry.startsWith('[')) return null;
+      const key = /^(['"]?)([\w$]+)\1/.exec(entry);
+      if (key) names.push(key[2]);
+    }
+    return names;
+  }
+
+  /**
+   * Read a bracketed section of source text, skipping strings and comments
+   * @param {string} source - Source text
+   * @param {number} start - Index of the opening bracket
+   * @returns {string|null} The section including its brackets, or null if unbalanced
+   */
+  _readBalanced(source, start) {
+    const pairs = { '(': ')', '{': '}', '[': ']' };
+    const closers = [];
+
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (char === '"' || char === "'" || char === '`') {
+        i = this._skipString(source, i);
+      } else if (char === '/' && source[i + 1] === '*') {
+        i = source.indexOf('*/', i + 2) + 1 || source.length;
+      } else if (char === '/' && source[i + 1] === '/') {
+        i = source.indexOf('\n', i) === -1 ? source.length : source.indexOf('\n', i);
+      } else if (pairs[char]) {
+        closers.push(pairs[char]);
+      } else if (char === closers[closers.length - 1]) {
+        closers.pop();
+        if (closers.length === 0) return source.slice(start, i + 1);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split text on commas that are not nested in brackets or strings
+   * @param {string} text - Text to split
+   * @returns {string[]} Trimmed parts with comments removed
+   */
+  _splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"' || char === "'" || char === '`') {
+        const end = this._skipString(text, i);
+        current += text.slice(i, end + 1);
+        i = end;
+      } else if (char === '/' && text[i + 1] === '*') {
+        i = (text.indexOf('*/', i + 2) + 1) || text.length;
+      } else if (char === '/' && text[i + 1] === '/') {
+        i = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+      } else if (char === ',' && depth === 0) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        if ('({['.includes(char)) depth++;
+        if (')}]'.includes(char)) depth--;
+        current += char;
+      }
+    }
+    parts.push(current.trim());
+    return parts;
+  }
+
+  _skipString(source, start) {
+    const quote = source[start];
+    for (let i = start + 1; i < source.length; i++) {
+      if (source[i] === '\\') i++;
+      else if (source[i] === quote) return i;
+    }
+    return source.length;
+  }
+
+  /**
+   * Find dependency cycles in a registration graph
+   * @param {Map<Object, Object[]>} graph - Registration to dependency registrations
+   * @returns {string[][]} Each cycle as service names, first name repeated at the end
+   */
+  _findCycles(graph, label = service => service.name) {
+    const cycles = [];
+    const done = new Set();
+    const stack = [];
+
+    const visit = (service) => {
+      const index = stack.indexOf(service);
+      if (index !== -1) {
+        cycles.push(stack.slice(index).concat(service).map(label));
+        return;
+      }
+      if (done.has(service)) return;
+
+      stack.push(service);
+      (graph.get(service) || []).forEach(visit);
+      stack.pop();
+      done.add(service);
+    };
+
+    graph.forEach((edges, service) => visit(service));
+    return cycles;
+  }
+
+  _createInstance(service, scope, path, args = null) {
+    this._callHooks('beforeCreate', { service, scope });
+
+    const resolveDependency = (key) => this._resolve(key, scope, path);
+    // Dependencies read after construction, through a kept `deps`, are not part of this resolution
+    let dependencyPath = path;
+    const deps = this._createDependencyProxy((key) => {
+      this._recordDependency(service, key);
+      if (this._isMissingOptional(service, key, scope)) return undefined;
+      if (service.lazy && service.lazy.has(key)) {
+        return this._createLazyProxy(() => this._resolveDependency(service, key, scope, []));
+      }
+      return this._resolveDependency(service, key, scope, dependencyPath);
+    }, args, scope);
+    let instance = this._instantiate(service, deps);
+    dependencyPath = [];
+
+    // Apply decorators if any are defined
+    instance = this._applyDecorators(instance, service, scope, resolveDependency);
+
+    this._callHooks('afterCreate', { service, scope, instance });
+    return instance;
+  }
+
+  /**
+   * Create an instance whose dependencies may be async
+   *
+   * Dependencies are settled before the implementation is called, so it runs
+   * exactly once. Their names come from dependsOn() or the destructuring pattern
+   * of the first parameter; services whose names cannot be read are rejected.
+   * Dependencies read later through a kept `deps` object are resolved normally.
+   *
+   * @param {Object} service - The service configuration
+   * @param {Scope} scope - The current scope
+   * @param {Object[]} path - Registrations of the services being resolved, outermost first
+   * @returns {Promise<*>} The settled, decorated instance
+   */
+  async _createInstanceAsync(service, scope, path) {
+    const names = this._getDependencyNames(service);
+    if (names === null) {
+      throw new Error(ERRORS.ASYNC_DEPENDENCIES_UNKNOWN(service.name));
+    }
+
+    this._callHooks('beforeCreate', { service, scope });
+
+    const settled = new Map();
+    const chain = this._getActiveDecorators(service, scope);
+
+    // Decorator services are settled up front so decoration stays synchronous
+    for (const {decorator: decoratorName} of chain.filter(entry => typeof entry.decorator === 'string')) {
+      try {
+        settled.set(decoratorName, await this._resolveAsync(decoratorName, scope, path));
+      } catch (error) {
+        throw new Error(`Failed to apply decorator '${decoratorName}' to service '${service.name}': ${error.message}`);
+      }
+    }
+
+    const dependencies = new Map();
+    for (const name of names) {
+      if ((service.lazy && service.lazy.has(name)) || this._isMissingOptional(service, name, scope)) continue;
+      dependencies.set(name, await this._resolveDependencyAsync(service, name, scope, path));
+    }
+
+    // Dependencies read after construction, through a kept `deps`, are not part of this resolution
+    let dependencyPath = path;
+    const deps = this._createDependencyProxy((key) => {
+      this._recordDependency(service, key);
+      if (this._isMissingOptional(service, key, scope)) return undefined;
+      if (service.lazy && service.lazy.has(key)) {
+        return this._createLazyProxy(() => this._resolveDependency(service, key, scope, []));
+      }
+      if (dependencies.has(key)) return dependencies.get(key);
+      return this._resolveDependency(service, key, scope, dependencyPath);
+    }, null, scope);
+
+    let instance = this._instantiate(service, deps);
+    if (this._isThenable(instance)) {
+      instance = await instance;
+    }
+    dependencyPath = [];
+
+    instance = this._applyDecorators(instance, service, scope, (decoratorName) => settled.get(decoratorName), chain);
+
+    this._callHooks('afterCreate', { service, scope, instance });
+    return instance;
+  }
+
+  /**
+   * Build the raw service instance from its implementation
+   * @param {Object} service - The service configuration
+   * @param {Object} deps - Dependency proxy passed to the implementation
+   * @returns {*} The undecorated instance
+   */
+  _instantiate(service, deps) {
+    if (service.lifecycle === LIFECYCLE.VALUE) {
+      return service.implementation;
+    }
+
+    if (service.factory) {
+      // Factory function
+      return service.implementation.call(null, deps);
+    }
+
+    if (this._isClass(service.implementation)) {
+      // Class constructor - MAINTAINS {a,b,c} DESTRUCTURING
+      const instance = new service.implementation(deps);
+
+      // Auto-binding if enabled
+      return this.options.autoBinding ? this._createAutoBindProxy(instance) : instance;
+    }
+
+    if (typeof service.implementation === 'function') {
+      // Function - return result and clone if transient (promises are left for the caller to await)
+      const result = service.implementation.call(null, deps);
+      return service.lifecycle === LIFECYCLE.TRANSIENT && !this._isThenable(result)
+        ? this._safeClone(result)
+        : result;
+    }
+
+    // Object - clone for transient
+    return service.lifecycle === LIFECYCLE.TRANSIENT 
+      ? this._safeClone(service.implementation)
+      : service.implementation;
   }
 
   /**
-   * Resolve services by tags
-   * @param {string[]} tags - Array of tags to search for
-   * @param {string} [mode='AND'] - Search mode: 'AND' (all tags) or 'OR' (any tag) 
-   * @param {string} [scopeName] - Optional scope name
-   * @returns {Object[]} Array of objects with {name, instance, tags}
+   * Apply decorators to a service instance
+   * @param {*} instance - The service instance to decorate
+   * @param {Object} service - The service configuration
+   * @param {Object} scope - The current scope
+   * @param {Function} resolveDecorator - Looks up a decorator service by name
+   * @param {Object[]} [chain] - Active decorator entries, see _getActiveDecorators()
+   * @returns {*} The decorated instance
    */
-  resolveServicesByTags(tags, mode = 'AND', scopeName = null) {
-    const serviceInfos = this.getServicesByTags(tags, mode);
-    
-    return serviceInfos.map(serviceInfo => ({
-      name: serviceInfo.name,
-      instance: this.resolve(serviceInfo.name, scopeName),
-      tags: serviceInfo.tags,
-      lifecycle: serviceInfo.lifecycle
-    }));
+  _applyDecorators(instance, service, scope, resolveDecorator, chain = this._getActiveDecorators(service, scope)) {
+    const decoratedInstance = chain.reduce((decorated, entry) => typeof entry.decorator === 'string'
+      ? this._applyDecoratorService(decorated, entry.decorator, service, resolveDecorator)
+      : this._applyCustomDecorator(decorated, entry.decorator, entry.index, service), instance);
+
+    return this._applyInterceptors(decoratedInstance, service);
   }
 
   /**
-   * Get all unique tags from registered services
-   * @returns {string[]} Array of all unique tags
+   * Build a service's decorator chain in the order it is applied
+   *
+   * Decorators with a higher priority come first. Equal priorities keep the
+   * historical order: decorator services, then custom functions, then
+   * decorateAll() rules in the order they were added.
+   *
+   * @param {Object} service - The service configuration
+   * @returns {Object[]} Entries with {decorator, label, index, source, priority, when}
    */
-  getAllTags() {
-    const allTags = new Set();
-    
-    this._services.forEach(serviceRegistration => {
-      serviceRegistration.tags.forEach(tag => {
-        allTags.add(tag);
-      });
+  _getDecoratorChain(service) {
+    const options = service.decoratorOptions || new Map();
+    const customDecorators = service.customDecorators || [];
+    const entry = (decorator, source, settings, index) => ({
+      decorator,
+      label: typeof decorator === 'string' ? decorator : decorator.name || `custom#${index}`,
+      index,
+      source,
+      ...settings
     });
-    
-    return Array.from(allTags).sort();
-  }
 
-  /**
-   * Get services grouped by tag
-   * @returns {Object} Object where keys are tags and values are arrays of service names
-   */
-  getServicesByTag() {
-    const tagGroups = {};
-    
-    this._services.forEach((serviceRegistration, serviceName) => {
-      serviceRegistration.tags.forEach(tag => {
-        if (!tagGroups[tag]) {
-          tagGroups[tag] = [];
-        }
-        tagGroups[tag].push(serviceName);
+    const chain = (service.decorators || [])
+      .map(decorator => entry(decorator, 'service', decoratorOptions(options.get(decorator))))
+      .concat(customDecorators.map((decorator, index) =>
+        entry(decorator, 'service', decoratorOptions(options.get(decorator)), index)));
+
+    let customIndex = customDecorators.length;
+    this._getGlobalRules(service).forEach(rule => {
+      rule.decorators.forEach(decorator => {
+        const index = typeof decorator === 'string' ? undefined : customIndex++;
+        chain.push(entry(decorator, 'global', { priority: rule.priority, when: rule.when }, index));
       });
     });
-    
-    return tagGroups;
+
+    // Array#sort is stable, so equal priorities keep the order above
+    return chain.sort((a, b) => b.priority - a.priority);
   }
 
   /**
-   * Add lifecycle hooks
-   * @param {string} event - Hook event name
-   * @param {Function} callback - Hook callback
-   * @returns {SDI} For chaining
+   * The decorator chain of a service without entries whose condition is false
+   * @param {Object} service - The service configuration
+   * @param {Scope|null} scope - Scope the conditions resolve their dependencies in
+   * @returns {Object[]} Active entries, see _getDecoratorChain()
    */
-  hook(event, callback) {
-    if (!event || typeof event !== 'string') {
-      throw new Error('Hook event must be a non-empty string');
-    }
-    if (typeof callback !== 'function') {
-      throw new Error('Hook callback must be a function');
-    }
-    
-    if (this._hooks[event]) {
-      if (this._hooks[event].length >= this.options.maxHooksPerEvent) {
-        throw new Error(ERRORS.HOOK_LIMIT(this.options.maxHooksPerEvent));
-      }
-      this._hooks[event].push(callback);
-    }
-    return this;
+  _getActiveDecorators(service, scope) {
+    return this._getDecoratorChain(service).filter(entry => this._isDecoratorActive(entry, service, scope));
   }
 
   /**
-   * Remove all hooks for an event
-   * @param {string} event - Hook event name
-   * @returns {SDI} For chaining
+   * Evaluate a decorator condition
+   *
+   * Conditions receive a dependency proxy like factories do, so `({env}) => env === 'production'`
+   * reads the `env` value. Dependencies are resolved synchronously.
+   *
+   * @param {Object} entry - Decorator chain entry
+   * @param {Object} service - The decorated service's configuration
+   * @param {Scope|null} scope - Scope dependencies are resolved in
+   * @returns {boolean} Whether the decorator applies
    */
-  clearHooks(event) {
-    if (this._hooks[event]) {
-      this._hooks[event] = [];
+  _isDecoratorActive(entry, service, scope) {
+    if (!entry.when) return true;
+    try {
+      return Boolean(entry.when(this._createDependencyProxy(key => this._resolve(key, scope), null, scope)));
+    } catch (error) {
+      throw new Error(`Failed to evaluate the condition of decorator '${entry.label}' on service '${service.name}': ${error.message}`);
     }
-    return this;
   }
 
-  // ============ INTERNAL METHODS ============
-
-  _resolve(name, scope = null) {
-    // Use a simpler approach for circular dependency detection
-    // Create a resolution context if it doesn't exist
-    if (!this._currentResolutionStack) {
-      this._currentResolutionStack = new Set();
-    }
-    
-    // Check for circular dependencies
-    if (this._currentResolutionStack.has(name)) {
-      const cycle = Array.from(this._currentResolutionStack).concat(name);
-      throw new Error(ERRORS.CIRCULAR_DEPENDENCY(cycle));
-    }
+  /**
+   * Apply one decorator service to an instance
+   * @param {*} instance - The instance to decorate
+   * @param {string} decoratorName - Name of the decorator service
+   * @param {Object} service - The service configuration
+   * @param {Function} resolveDecorator - Looks up a decorator service by name
+   * @returns {*} The decorated instance
+   */
+  _applyDecoratorService(instance, decoratorName, service, resolveDecorator) {
+    try {
+      const decoratorService = resolveDecorator(decoratorName);
 
-    const service = this._services.get(name);
-    if (!service) {
-      throw new Error(ERRORS.MODULE_NOT_FOUND(name));
-    }
+      // Validate decorator service
+      this._validateDecoratorService(decoratorService, decoratorName, service.name);
 
-    // Check scope cache first
-    if (scope && scope._instances.has(name)) {
-      return scope._instances.get(name);
-    }
+      // Apply decoration
+      const decoratedInstance = decoratorService.decorate(instance);
 
-    // Check singleton cache
-    if (service.lifecycle === LIFECYCLE.SINGLETON && this._instances.has(name)) {
-      return this._instances.get(name);
-    }
+      // Validate decoration result
+      this._validateDecorationResult(decoratedInstance, instance, decoratorName, service.name);
 
-    this._currentResolutionStack.add(name);
-    
-    try {
-      const instance = this._createInstance(service, scope);
-      
-      // Cache based on lifecycle
-      if (service.lifecycle === LIFECYCLE.SINGLETON) {
-        this._checkMemoryLimits('instances');
-        this._instances.set(name, instance);
-      } else if (service.lifecycle === LIFECYCLE.SCOPED && scope) {
-        scope._instances.set(name, instance);
-      }
-      
-      return instance;
-    } finally {
-      this._currentResolutionStack.delete(name);
-      // Clean up the resolution stack when we're done with the top-level resolution
-      if (this._currentResolutionStack.size === 0) {
-        this._currentResolutionStack = null;
+      if (this.options.verbose) {
+        console.log(`[SDIJS:DECORATOR] Applied decorator '${decoratorName}' to service '${service.name}'`);
       }
+      return decoratedInstance;
+    } catch (error) {
+      throw new Error(`Failed to apply decorator '${decoratorName}' to service '${service.name}': ${error.message}`);
     }
   }
 
-  _createInstance(service, scope) {
-    this._callHooks('beforeCreate', { service, scope });
+  /**
+   * Apply one custom decorator function to an instance
+   * @param {*} instance - The instance to decorate
+   * @param {Function} decoratorFn - The decorator function
+   * @param {number} index - Index of the decorator for error messages
+   * @param {Object} service - The service configuration
+   * @returns {*} The decorated instance
+   */
+  _applyCustomDecorator(instance, decoratorFn, index, service) {
+    try {
+      // Validate custom decorator function
+      this._validateCustomDecorator(decoratorFn, index, service.name);
 
-    let instance;
+      const decoratedInstance = decoratorFn(instance);
 
-    if (service.lifecycle === LIFECYCLE.VALUE) {
-      instance = service.implementation;
-    } else if (service.factory) {
-      // Factory function
-      instance = service.implementation.call(null, this._createDependencyProxy(scope));
-    } else if (this._isClass(service.implementation)) {
-      // Class constructor - MAINTAINS {a,b,c} DESTRUCTURING
-      const deps = this._createDependencyProxy(scope);
-      instance = new service.implementation(deps);
-      
-      // Auto-binding if enabled
-      if (this.options.autoBinding) {
-        instance = this._createAutoBindProxy(instance);
+      // Validate decoration result
+      this._validateDecorationResult(decoratedInstance, instance, `custom#${index}`, service.name);
+
+      if (this.options.verbose) {
+        console.log(`[SDIJS:DECORATOR] Applied custom decorator to service '${service.name}'`);
       }
-    } else if (typeof service.implementation === 'function') {
-      // Function - return result and clone if transient
-      const result = service.implementation.call(null, this._createDependencyProxy(scope));
-      instance = service.lifecycle === LIFECYCLE.TRANSIENT 
-        ? this._safeClone(result)
-        : result;
-    } else {
-      // Object - clone for transient
-      instance = service.lifecycle === LIFECYCLE.TRANSIENT 
-        ? this._safeClone(service.implementation)
-        : service.implementation;
+      return decoratedInstance;
+    } catch (error) {
+      throw new Error(`Failed to apply custom decorator #${index} to service '${service.name}': ${error.message}`);
     }
+  }
 
-    // Apply decorators if any are defined
-    instance = this._applyDecorators(instance, service, scope);
+  /**
+   * Collect every decorateAll() rule matching a service
+   *
+   * Rules of parent containers are included. Rules never apply to their own
+   * decorator services, so broad predicates cannot make a decorator depend on itself.
+   *
+   * @param {Object} service - The service configuration
+   * @returns {Object[]} Matching rules, parents' first, in the order they were added
+   */
+  _getGlobalRules(service) {
+    const rules = [];
+    for (let container = this; container; container = container._parent) {
+      rules.unshift(...container._globalDecorators);
+    }
+    return rules.filter(rule =>
+      !rule.exclude.has(service.token) && !rule.decorators.includes(service.token) && rule.matches(service));
+  }
 
-    this._callHooks('afterCreate', { service, scope, instance });
-    return instance;
+  /**
+   * Names of the decorator services in a service's chain, whatever their conditions
+   * @param {Object} service - The service configuration
+   * @returns {string[]} Decorator service names
+   */
+  _getDecoratorNames(service) {
+    return this._getDecoratorChain(service)
+      .map(entry => entry.decorator)
+      .filter(decorator => typeof decorator === 'string');
   }
 
   /**
-   * Apply decorators to a service instance
-   * @param {*} instance - The service instance to decorate
+   * Wrap an instance in a proxy that runs the service's interceptors around method calls
+   * @param {*} instance - The decorated instance
    * @param {Object} service - The service configuration
-   * @param {Object} scope - The current scope
-   * @returns {*} The decorated instance
+   * @returns {*} The proxied instance, or the instance itself without interceptors
    */
-  _applyDecorators(instance, service, scope) {
-    let decoratedInstance = instance;
+  _applyInterceptors(instance, service) {
+    if (!service.interceptors || service.interceptors.length === 0) return instance;
+    if (instance === null || (typeof instance !== 'object' && typeof instance !== 'function')) {
+      throw new Error(ERRORS.INTERCEPT_NOT_OBJECT(service.name, instance === null ? 'null' : typeof instance));
+    }
 
-    // Apply decorator services (resolved from container)
-    if (service.decorators && service.decorators.length > 0) {
-      for (const decoratorName of service.decorators) {
-        try {
-          const decoratorService = this._resolve(decoratorName, scope);
-          
-          // Validate decorator service
-          this._validateDecoratorService(decoratorService, decoratorName, service.name);
-          
-          // Apply decoration
-          const previousInstance = decoratedInstance;
-          decoratedInstance = decoratorService.decorate(decoratedInstance);
-          
-          // Validate decoration result
-          this._validateDecorationResult(decoratedInstance, previousInstance, decoratorName, service.name);
-          
-          if (this.options.verbose) {
-            console.log(`[SDIJS:DECORATOR] Applied decorator '${decoratorName}' to service '${service.name}'`);
-          }
-        } catch (error) {
-          throw new Error(`Failed to apply decorator '${decoratorName}' to service '${service.name}': ${error.message}`);
-        }
-      }
+    const matches = (methods, method) => !methods ||
+      methods.some(pattern => typeof pattern === 'string' ? pattern === method : pattern.test(method));
+    const wrappers = new Map(); // method name -> { original, wrapper }
+
+    const wrap = (target, method, original) => {
+      const chain = service.interceptors
+        .filter(({methods}) => matches(methods, method))
+        .map(({interceptor}) => interceptor);
+      if (chain.length === 0) return original;
+
+      return function intercepted(...args) {
+        const invoke = (index, callArgs) => {
+          if (index === chain.length) return Reflect.apply(original, target, callArgs);
+          return chain[index]({
+            service: service.name,
+            method,
+            args: callArgs,
+            instance: target,
+            proceed: (nextArgs = callArgs) => invoke(index + 1, nextArgs)
+          });
+        };
+        return invoke(0, args);
+      };
+    };
+
+    if (this.options.verbose) {
+      console.log(`[SDIJS:INTERCEPT] Applied ${service.interceptors.length} interceptor(s) to service '${service.name}'`);
     }
 
-    // Apply custom decorator functions
-    if (service.customDecorators && service.customDecorators.length > 0) {
-      for (let i = 0; i < service.customDecorators.length; i++) {
-        const decoratorFn = service.customDecorators[i];
-        try {
-          // Validate custom decorator function
-          this._validateCustomDecorator(decoratorFn, i, service.name);
-          
-          const previousInstance = decoratedInstance;
-          decoratedInstance = decoratorFn(decoratedInstance);
-          
-          // Validate decoration result
-          this._validateDecorationResult(decoratedInstance, previousInstance, `custom#${i}`, service.name);
-          
-          if (this.options.verbose) {
-            console.log(`[SDIJS:DECORATOR] Applied custom decorator to service '${service.name}'`);
-          }
-        } catch (error) {
-          throw new Error(`Failed to apply custom decorator #${i} to service '${service.name}': ${error.message}`);
+    return new Proxy(instance, {
+      get(target, propertyKey) {
+        const value = Reflect.get(target, propertyKey);
+        if (typeof value !== 'function' || typeof propertyKey !== 'string' || propertyKey === 'constructor') {
+          return value;
         }
-      }
-    }
 
-    return decoratedInstance;
+        const cached = wrappers.get(propertyKey);
+        if (cached && cached.original === value) return cached.wrapper;
+        const wrapper = wrap(target, propertyKey, value);
+        wrappers.set(propertyKey, { original: value, wrapper });
+        return wrapper;
+      }
+    });
   }
 
   /**
@@ -925,7 +2974,17 @@ class SDI {
     return Array.from(methods);
   }
 
-  _createDependencyProxy(scope) {
+  /**
+   * Create the object passed to implementations, resolving properties on access
+   * @param {Function} resolveKey - Resolves one dependency by name
+   * @param {Object|null} [args] - Runtime arguments, looked up before the container
+   * @param {Scope|null} [scope] - Scope whose Scope#value() and Scope#register() registrations are visible
+   * @returns {Proxy} Read-only dependency proxy
+   */
+  _createDependencyProxy(resolveKey, args = null, scope = null) {
+    const hasArg = (key) => args !== null && Object.prototype.hasOwnProperty.call(args, key);
+    const isRegistered = (key) => this.has(key) || this._getScopeRegistration(scope, this._canonicalName(key)) !== undefined;
+
     return new Proxy({}, {
       get: (target, key) => {
         const keyStr = String(key);
@@ -934,9 +2993,14 @@ class SDI {
         if (DANGEROUS_KEYS.has(keyStr)) {
           throw new Error(ERRORS.DANGEROUS_KEY(keyStr));
         }
+
+        if (hasArg(key)) {
+          return args[key];
+        }
         
-        // Block Symbol properties except for well-known ones
-        if (typeof key === 'symbol' && key !== Symbol.toPrimitive && key !== Symbol.iterator) {
+        // Symbols resolve only when registered as tokens, e.g. `{[LOGGER]: logger}`;
+        // others (inspection, iteration) are left undefined
+        if (typeof key === 'symbol' && !isRegistered(key)) {
           return undefined;
         }
         
@@ -944,21 +3008,28 @@ class SDI {
           console.log(`[SDIJS:RESOLVE] Resolving dependency: ${keyStr}`);
         }
         
-        return this._resolve(keyStr, scope);
+        return resolveKey(typeof key === 'symbol' ? key : keyStr);
       },
       set: () => {
         throw new Error("Dependencies are read-only");
       },
       has: (target, key) => {
         const keyStr = String(key);
-        return this._services.has(keyStr) && !DANGEROUS_KEYS.has(keyStr);
+        return (hasArg(key) || isRegistered(typeof key === 'symbol' ? key : keyStr)) && !DANGEROUS_KEYS.has(keyStr);
       },
       ownKeys: () => {
-        return this.getServiceNames();
+        const scoped = [];
+        for (let current = scope; current; current = current.parent) {
+          scoped.push(...current._services.keys());
+        }
+        // Class tokens cannot be property keys
+        const names = [...new Set([...scoped, ...this.getServiceNames({ includeInherited: true })])]
+          .filter(name => typeof name !== 'function');
+        return args ? [...new Set([...Reflect.ownKeys(args), ...names])] : names;
       },
       getOwnPropertyDescriptor: (target, key) => {
         const keyStr = String(key);
-        if (this._services.has(keyStr) && !DANGEROUS_KEYS.has(keyStr)) {
+        if ((hasArg(key) || isRegistered(typeof key === 'symbol' ? key : keyStr)) && !DANGEROUS_KEYS.has(keyStr)) {
           return { enumerable: true, configurable: true };
         }
         return undefined;
@@ -966,6 +3037,51 @@ class SDI {
     });
   }
 
+  /**
+   * Create a stand-in that resolves the real instance on first use
+   *
+   * The resolution runs in a fresh path, so a lazy dependency can point back at
+   * a service that is still being constructed. Methods are bound to the instance;
+   * the proxy itself is not callable.
+   *
+   * @param {Function} resolveInstance - Resolves the real instance
+   * @returns {Proxy} Transparent proxy
+   */
+  _createLazyProxy(resolveInstance) {
+    let resolved = false;
+    let instance;
+    const getInstance = () => {
+      if (!resolved) {
+        instance = resolveInstance();
+        resolved = true;
+      }
+      return instance;
+    };
+    const bound = new WeakMap();
+
+    return new Proxy({}, {
+      get: (target, key) => {
+        const current = getInstance();
+        const value = Reflect.get(Object(current), key);
+        if (typeof value !== 'function') return value;
+
+        if (!bound.has(value)) {
+          bound.set(value, value.bind(current));
+        }
+        return bound.get(value);
+      },
+      set: (target, key, value) => Reflect.set(Object(getInstance()), key, value),
+      has: (target, key) => Reflect.has(Object(getInstance()), key),
+      ownKeys: () => Reflect.ownKeys(Object(getInstance())),
+      getOwnPropertyDescriptor: (target, key) => {
+        const descriptor = Reflect.getOwnPropertyDescriptor(Object(getInstance()), key);
+        // Proxy invariants: the dummy target does not own these properties
+        return descriptor && { ...descriptor, configurable: true };
+      },
+      getPrototypeOf: () => Reflect.getPrototypeOf(Object(getInstance()))
+    });
+  }
+
   _createAutoBindProxy(instance) {
     const cache = new WeakMap();
     return new Proxy(instance, {
@@ -997,6 +3113,40 @@ class SDI {
            definition.prototype.constructor === definition;
   }
 
+  /**
+   * Look up the scope for a public resolve call
+   * @param {string|Scope|null} scopeOrName - Scope, scope name, or null for the ambient scope
+   * @returns {Scope|null} The scope to resolve in
+   */
+  _scopeFor(scopeOrName) {
+    if (scopeOrName instanceof Scope) return scopeOrName;
+    return scopeOrName ? this.scope(scopeOrName) : this.currentScope();
+  }
+
+  /**
+   * Release an instance through the first disposal method it provides
+   * @param {*} instance - The instance to dispose
+   * @returns {*} Whatever the disposal method returned (possibly a promise)
+   */
+  _disposeInstance(instance) {
+    if (instance === null || (typeof instance !== 'object' && typeof instance !== 'function')) {
+      return undefined;
+    }
+
+    for (const method of DISPOSE_METHODS) {
+      if (typeof instance[method] === 'function') {
+        return instance[method]();
+      }
+    }
+    return undefined;
+  }
+
+  _isThenable(value) {
+    return value !== null &&
+           (typeof value === 'object' || typeof value === 'function') &&
+           typeof value.then === 'function';
+  }
+
   _formatName(name) {
     return name.charAt(0).toLowerCase() + name.slice(1);
   }
@@ -1013,17 +3163,29 @@ class SDI {
 
   _checkMemoryLimits(type) {
     const limits = {
-      services: { map: this._services, max: this.options.maxServices },
-      instances: { map: this._instances, max: this.options.maxInstances },
-      scopes: { map: this._scopes, max: this.options.maxScopes }
+      services: { count: () => this._countRegistrations(), max: this.options.maxServices },
+      instances: { count: () => this._instances.size, max: this.options.maxInstances },
+      scopes: { count: () => this._scopes.size, max: this.options.maxScopes }
     };
     
     const limit = limits[type];
-    if (limit && limit.map.size >= limit.max) {
+    if (limit && limit.count() >= limit.max) {
       throw new Error(ERRORS.MEMORY_LIMIT(type, limit.max));
     }
   }
 
+  /**
+   * Count this container's registrations, every asMany() and withKey() entry included
+   * @returns {number} Registrations counted against maxServices
+   */
+  _countRegistrations() {
+    let count = this._services.size;
+    // The latest asMany() entry is the one in _services
+    this._manyServices.forEach(entries => { count += entries.length - 1; });
+    this._keyedServices.forEach(entries => { count += entries.size; });
+    return count;
+  }
+
   _safeClone(obj) {
     try {
       return structuredClone(obj);
@@ -1040,8 +3202,9 @@ class SDI {
 // ============ SERVICE BUILDER (FLUENT API) ============
 
 class ServiceBuilder {
-  constructor(container, implementation, name) {
+  constructor(container, implementation, name, scope = null) {
     this.container = container;
+    this.scope = scope; // Set by Scope#register() to register into that scope
     this.implementation = implementation;
     this.name = name || this._inferName(implementation);
     this.lifecycle = LIFECYCLE.SINGLETON; // Default
@@ -1050,6 +3213,18 @@ class ServiceBuilder {
     this.tags = new Set();
     this.decorators = []; // Array of decorator service names
     this.customDecorators = []; // Array of custom decorator functions
+    this.decoratorOptions = new Map(); // Decorator name or function -> {priority, when}
+    this.dependencies = null; // Declared dependency names, parsed from the implementation when null
+    this.optional = new Set(); // Dependency names that resolve to undefined when not registered
+    this.lazy = new Set(); // Dependency names injected as proxies resolved on first use
+    this.many = false; // Append to the registrations under this name instead of replacing them
+    this.key = undefined; // Registration key set with withKey()
+    this.keyed = new Map(); // Dependency name -> key, for keyed dependencies
+    this.tokens = new Map(); // Dependency name -> symbol or class token
+    this.pool = null; // Pool options set with asPooled()
+    this.eagerly = false; // Resolved and initialized by container.start()
+    this.scopeLevel = null; // Scope level set with asScoped(level)
+    this.interceptors = []; // { interceptor, methods } added with intercept(), outermost first
   }
 
   /**
@@ -1072,10 +3247,52 @@ class ServiceBuilder {
 
   /**
    * Set as scoped lifecycle
+   *
+   * With a level, the instance is cached in the nearest scope of that level, so
+   * a request-level service resolved in a transaction scope is shared by the
+   * whole request.
+   *
+   * @param {string} [level] - Scope level, see createScope() and Scope#createChild()
    * @returns {SDI} Container for method chaining
+   *
+   * @example
+   * container.register(RequestContext).asScoped('request');
+   * container.register(UnitOfWork).asScoped('transaction');
    */
-  asScoped() {
+  asScoped(level) {
+    if (level !== undefined && (!level || typeof level !== 'string')) {
+      throw new Error('Scope level must be a non-empty string');
+    }
     this.lifecycle = LIFECYCLE.SCOPED;
+    this.scopeLevel = level ?? null;
+    return this._register();
+  }
+
+  /**
+   * Set as pooled lifecycle: instances are borrowed with acquire() and reused
+   * @param {Object} [options={}] - Pool options
+   * @param {number} [options.min=0] - Instances created on the first acquire() and kept when idle ones are evicted
+   * @param {number} [options.max=10] - Maximum instances alive at once
+   * @param {number} [options.idleTimeoutMs=30000] - Evict instances idle this long (Infinity keeps them)
+   * @param {number} [options.acquireTimeoutMs=5000] - Fail acquire() after waiting this long (Infinity waits forever)
+   * @returns {SDI} Container for method chaining
+   */
+  asPooled(options = {}) {
+    const pool = { min: 0, max: 10, idleTimeoutMs: 30000, acquireTimeoutMs: 5000, ...options };
+    if (!Number.isInteger(pool.max) || pool.max < 1) {
+      throw new Error(ERRORS.INVALID_POOL_OPTIONS('max must be a positive integer'));
+    }
+    if (!Number.isInteger(pool.min) || pool.min < 0 || pool.min > pool.max) {
+      throw new Error(ERRORS.INVALID_POOL_OPTIONS('min must be an integer between 0 and max'));
+    }
+    for (const option of ['idleTimeoutMs', 'acquireTimeoutMs']) {
+      if (typeof pool[option] !== 'number' || !(pool[option] >= 0)) {
+        throw new Error(ERRORS.INVALID_POOL_OPTIONS(`${option} must be a non-negative number`));
+      }
+    }
+
+    this.lifecycle = LIFECYCLE.POOLED;
+    this.pool = pool;
     return this._register();
   }
 
@@ -1097,6 +3314,85 @@ class ServiceBuilder {
     return this;
   }
 
+  /**
+   * Add this implementation to the ones already registered under the name
+   *
+   * `resolve(name)` returns the last implementation added and
+   * `resolveMany(name)` returns all of them.
+   *
+   * @returns {ServiceBuilder} For chaining
+   */
+  asMany() {
+    this.many = true;
+    return this;
+  }
+
+  /**
+   * Register under the name plus a key, resolved with `resolveKeyed(name, key)`
+   *
+   * Keyed registrations sit next to the plain registration under the same name
+   * and are cached per key.
+   *
+   * @param {string|number|boolean|bigint|symbol|null} key - Registration key
+   * @returns {ServiceBuilder} For chaining
+   */
+  withKey(key) {
+    if (!isValidKey(key)) {
+      throw new Error(ERRORS.INVALID_KEY());
+    }
+    this.key = key;
+    return this;
+  }
+
+  /**
+   * Inject keyed registrations for some dependencies
+   * @param {Object} dependencies - Dependency name -> registration key
+   * @returns {ServiceBuilder} For chaining
+   *
+   * @example
+   * container.register(BackupJob).withKeyed({ storage: 'eu-west' }).asSingleton();
+   * // constructor({storage}) receives resolveKeyed('storage', 'eu-west')
+   */
+  withKeyed(dependencies) {
+    if (!dependencies || typeof dependencies !== 'object') {
+      throw new Error('withKeyed requires an object of dependency names to keys');
+    }
+    Object.entries(dependencies).forEach(([name, key]) => {
+      if (!isValidKey(key)) {
+        throw new Error(ERRORS.INVALID_KEY());
+      }
+      this.keyed.set(name, key);
+    });
+    return this;
+  }
+
+  /**
+   * Inject services registered under symbol or class tokens
+   *
+   * Symbol tokens can also be destructured directly with computed keys,
+   * e.g. `constructor({[LOGGER]: logger})`.
+   *
+   * @param {Object} dependencies - Dependency name -> token
+   * @returns {ServiceBuilder} For chaining
+   *
+   * @example
+   * container.register(UserService, UserService).asSingleton();
+   * container.register(UserController).withTokens({ users: UserService }).asSingleton();
+   * // constructor({users}) receives resolve(UserService)
+   */
+  withTokens(dependencies) {
+    if (!dependencies || typeof dependencies !== 'object') {
+      throw new Error('withTokens requires an object of dependency names to tokens');
+    }
+    Object.entries(dependencies).forEach(([name, token]) => {
+      if (!isValidToken(token)) {
+        throw new Error(ERRORS.INVALID_TOKEN());
+      }
+      this.tokens.set(name, token);
+    });
+    return this;
+  }
+
   /**
    * Add a tag to this service
    * @param {string} tag - Tag name
@@ -1120,6 +3416,86 @@ class ServiceBuilder {
     return this;
   }
 
+  /**
+   * Declare the dependency names this service uses (for validate() and resolveAsync())
+   *
+   * Only needed when they cannot be read from the constructor or factory's
+   * destructuring pattern, e.g. `constructor(deps)`.
+   *
+   * @param {string|string[]} dependencies - Dependency service names
+   * @returns {ServiceBuilder} For chaining
+   */
+  dependsOn(dependencies) {
+    const names = Array.isArray(dependencies) ? dependencies : [dependencies];
+    names.forEach(name => {
+      if (!isValidToken(name)) {
+        throw new Error('Dependency names must be non-empty strings, symbols or classes');
+      }
+    });
+    this.dependencies = (this.dependencies || []).concat(names);
+    return this;
+  }
+
+  /**
+   * Mark dependencies as optional
+   *
+   * Optional dependencies that are not registered resolve to `undefined`
+   * instead of throwing, so destructuring defaults apply.
+   *
+   * @param {string|string[]} dependencies - Dependency service names
+   * @returns {ServiceBuilder} For chaining
+   *
+   * @example
+   * container.register(UserService).withOptional(['metrics']).asSingleton();
+   * // constructor({logger, metrics = null}) gets metrics = null when not registered
+   */
+  withOptional(dependencies) {
+    const names = Array.isArray(dependencies) ? dependencies : [dependencies];
+    names.forEach(name => {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Dependency names must be non-empty strings');
+      }
+      this.optional.add(name);
+    });
+    return this;
+  }
+
+  /**
+   * Inject dependencies lazily
+   *
+   * Lazy dependencies are injected as transparent proxies and only resolved on
+   * first property access, in the scope active at injection time. This defers
+   * rarely used services and breaks construction-time cycles.
+   *
+   * @param {string|string[]} dependencies - Dependency service names
+   * @returns {ServiceBuilder} For chaining
+   *
+   * @example
+   * container.register(UserService).withLazy(['reportService']).asSingleton();
+   */
+  withLazy(dependencies) {
+    const names = Array.isArray(dependencies) ? dependencies : [dependencies];
+    names.forEach(name => {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Dependency names must be non-empty strings');
+      }
+      this.lazy.add(name);
+    });
+    return this;
+  }
+
+  /**
+   * Resolve this singleton and await its `onInit()` or `init()` in container.start()
+   * @returns {ServiceBuilder} For chaining
+   *
+   * @example
+   * container.register(Database).eager().asSingleton();
+   */
+  eager() {
+    this.eagerly = true;
+    return this;
+  }
+
   /**
    * Add a condition for registration
    * @param {Function} condition - Condition function
@@ -1152,26 +3528,41 @@ class ServiceBuilder {
 
   /**
    * Add decorators to this service
+   *
+   * Decorators with a higher priority are applied first; equal priorities apply
+   * decorator services, then functions, in the order they were added. A `when`
+   * condition is checked each time an instance is created and receives the
+   * container's services like a factory does.
+   *
    * @param {string|string[]|Function} decorators - Decorator service names or function
+   * @param {Object} [options={}] - Decorator options
+   * @param {number} [options.priority=0] - Higher priorities are applied first
+   * @param {Function} [options.when] - Apply only while this returns true
    * @returns {ServiceBuilder} For chaining
+   *
+   * @example
+   * container.register(UserRepository)
+   *   .decorateWith(['cacheDecorator'], { when: ({env}) => env === 'production' })
+   *   .decorateWith(['timingDecorator'], { priority: 10 })
+   *   .asSingleton();
    */
-  decorateWith(decorators) {
+  decorateWith(decorators, options = {}) {
+    const settings = decoratorOptions(options);
+    const add = (decorator) => {
+      if (typeof decorator === 'string') {
+        this.decorators.push(decorator);
+      } else if (typeof decorator === 'function') {
+        this.customDecorators.push(decorator);
+      } else {
+        throw new Error('Decorators must be service names (strings) or functions');
+      }
+      this.decoratorOptions.set(decorator, settings);
+    };
+
     if (Array.isArray(decorators)) {
-      decorators.forEach(decorator => {
-        if (typeof decorator === 'string') {
-          this.decorators.push(decorator);
-        } else if (typeof decorator === 'function') {
-          this.customDecorators.push(decorator);
-        } else {
-          throw new Error('Decorators must be service names (strings) or functions');
-        }
-      });
-    } else if (typeof decorators === 'string') {
-      this.decorators.push(decorators);
-    } else if (typeof decorators === 'function') {
-      this.customDecorators.push(decorators);
+      decorators.forEach(add);
     } else {
-      throw new Error('Decorators must be service names (strings) or functions');
+      add(decorators);
     }
     return this;
   }
@@ -1179,13 +3570,59 @@ class ServiceBuilder {
   /**
    * Add a custom decorator function (escape hatch)
    * @param {Function} decoratorFn - Function that takes a service and returns decorated service
+   * @param {Object} [options={}] - Priority and condition, see decorateWith()
    * @returns {ServiceBuilder} For chaining
    */
-  decorate(decoratorFn) {
+  decorate(decoratorFn, options = {}) {
     if (typeof decoratorFn !== 'function') {
       throw new Error('Decorator must be a function');
     }
     this.customDecorators.push(decoratorFn);
+    this.decoratorOptions.set(decoratorFn, decoratorOptions(options));
+    return this;
+  }
+
+  /**
+   * Intercept calls to the service's methods
+   *
+   * Interceptors receive {service, method, args, instance, proceed} and return the
+   * result of the call; proceed(args?) runs the next interceptor, then the method.
+   * Async methods return promises through proceed(), so await it to act on the
+   * result. Interceptors run in the order they are added, the first one outermost,
+   * and are applied through one proxy around the decorated instance, so every
+   * method and property stays available. Calls a method makes on `this` are not
+   * intercepted.
+   *
+   * @param {Function} interceptor - Receives the call context and returns the result
+   * @param {Object} [options]
+   * @param {Array<string|RegExp>} [options.methods] - Methods to intercept, all methods when omitted
+   * @returns {ServiceBuilder} For chaining
+   *
+   * @example
+   * container.register(UserRepository)
+   *   .intercept(async ({method, proceed}) => {
+   *     const started = Date.now();
+   *     try {
+   *       return await proceed();
+   *     } finally {
+   *       metrics.timing(`users.${method}`, Date.now() - started);
+   *     }
+   *   }, { methods: ['save', /^find/] })
+   *   .asSingleton();
+   */
+  intercept(interceptor, { methods } = {}) {
+    if (typeof interceptor !== 'function') {
+      throw new Error('Interceptor must be a function');
+    }
+    if (methods !== undefined && (!Array.isArray(methods) ||
+        !methods.every(method => typeof method === 'string' || method instanceof RegExp))) {
+      throw new Error('Interceptor methods must be an array of method names or regular expressions');
+    }
+    // Copy patterns without g/y, whose lastIndex would make test() alternate between calls
+    const patterns = methods && methods.map(method => method instanceof RegExp && /[gy]/.test(method.flags)
+      ? new RegExp(method.source, method.flags.replace(/[gy]/g, ''))
+      : method);
+    this.interceptors.push({ interceptor, methods: patterns || null });
     return this;
   }
 
@@ -1232,52 +3669,122 @@ class ServiceBuilder {
   }
 
   _register() {
+    const keyed = this.key !== undefined;
+    if (keyed && this.many) {
+      throw new Error('asMany() cannot be combined with withKey()');
+    }
+    if (this.eagerly && this.lifecycle !== LIFECYCLE.SINGLETON) {
+      throw new Error(ERRORS.EAGER_LIFECYCLE(tokenLabel(this.name), this.lifecycle));
+    }
+    if (this.scope) {
+      return this._registerInScope();
+    }
+
     // Check if already registered and not allowing overrides
-    if (this.container.has(this.name) && 
+    const registered = keyed
+      ? this.container._getLocalKeyed(this.name, this.key) !== undefined
+      : this.container._services.has(this.name);
+    if (registered && 
         !this._allowOverride && 
+        !this.many && 
         this.container.options.strictMode) {
-      throw new Error(ERRORS.ALREADY_REGISTERED(this.name));
+      throw new Error(ERRORS.ALREADY_REGISTERED(keyed ? keyedLabel(this.name, this.key) : tokenLabel(this.name)));
     }
 
     // Check conditions
-    if (this.conditions.length > 0) {
-      const shouldRegister = this.conditions.every(condition => {
-        try {
-          return condition();
-        } catch (error) {
-          console.warn(`Condition check failed for ${this.name}:`, error);
-          return false;
-        }
-      });
-      if (!shouldRegister) return this.container;
-    }
+    if (!this._conditionsMet()) return this.container;
 
     // If overriding, clear cached instances
-    if (this._allowOverride && this.container.has(this.name)) {
-      this.container._instances.delete(this.name);
-      // Clear from all scopes too
-      this.container._scopes.forEach(scope => {
-        scope._instances.delete(this.name);
-      });
+    if (this._allowOverride && keyed && registered) {
+      this.container._clearCached([this.container._getLocalKeyed(this.name, this.key).cacheKey]);
+    } else if (this._allowOverride && registered) {
+      const entries = this.container._manyServices.get(this.name) || [this.container._services.get(this.name)];
+      this.container._clearCached(entries.map(service => service.cacheKey));
     }
 
-    this.container._services.set(this.name, {
-      implementation: this.implementation,
-      lifecycle: this.lifecycle,
-      factory: this.factory,
-      tags: this.tags,
-      name: this.name,
-      decorators: this.decorators,
-      customDecorators: this.customDecorators
-    });
+    const registration = this._createRegistration();
+    registration.cacheKey = keyed ? new CacheKey(keyedLabel(this.name, this.key)) : this.name;
+
+    const existing = this.container._services.get(this.name);
+    if (keyed) {
+      const entries = this.container._keyedServices.get(this.name) || new Map();
+      entries.set(this.key, registration);
+      this.container._keyedServices.set(this.name, entries);
+    } else if (this.many && existing && !this._allowOverride) {
+      // Further entries get their own cache keys; the first keeps the plain name
+      const entries = this.container._manyServices.get(this.name) || [existing];
+      registration.cacheKey = new CacheKey(`${tokenLabel(this.name)}#${entries.length}`);
+      this.container._manyServices.set(this.name, entries.concat(registration));
+      this.container._services.set(this.name, registration);
+    } else {
+      this.container._manyServices.delete(this.name);
+      this.container._services.set(this.name, registration);
+    }
 
     if (this.container.options.verbose) {
-      console.log(`[SDIJS:REGISTER] Service '${this.name}' [${this.lifecycle}]${this.decorators.length || this.customDecorators.length ? ' with decorators' : ''}`);
+      console.log(`[SDIJS:REGISTER] Service '${tokenLabel(registration.cacheKey)}' [${this.lifecycle}]${this.decorators.length || this.customDecorators.length ? ' with decorators' : ''}`);
     }
 
     return this.container;
   }
 
+  /**
+   * Register into the scope given to Scope#register(), shadowing container registrations there
+   * @returns {Scope} The scope for chaining
+   */
+  _registerInScope() {
+    if (this.many || this.key !== undefined || this.eagerly || this.scopeLevel ||
+        this.lifecycle === LIFECYCLE.POOLED) {
+      throw new Error('Scope registrations cannot use asMany(), withKey(), eager(), asPooled() or scope levels');
+    }
+    if (!this._conditionsMet()) return this.scope;
+
+    const registration = this._createRegistration();
+    registration.cacheKey = this.name;
+    this.scope._register(registration);
+
+    if (this.container.options.verbose) {
+      console.log(`[SDIJS:REGISTER] Service '${tokenLabel(this.name)}' [${registration.lifecycle}] in scope '${this.scope.name}'`);
+    }
+    return this.scope;
+  }
+
+  _conditionsMet() {
+    return this.conditions.every(condition => {
+      try {
+        return condition();
+      } catch (error) {
+        console.warn(`Condition check failed for ${tokenLabel(this.name)}:`, error);
+        return false;
+      }
+    });
+  }
+
+  _createRegistration() {
+    return {
+      implementation: this.implementation,
+      lifecycle: this.lifecycle,
+      factory: this.factory,
+      tags: this.tags,
+      name: tokenLabel(this.name),
+      token: this.name,
+      decorators: this.decorators,
+      customDecorators: this.customDecorators,
+      decoratorOptions: this.decoratorOptions,
+      dependencies: this.dependencies,
+      optional: this.optional,
+      lazy: this.lazy,
+      keyed: this.keyed,
+      tokens: this.tokens,
+      key: this.key,
+      pool: this.pool,
+      eager: this.eagerly,
+      scopeLevel: this.scopeLevel,
+      interceptors: this.interceptors,
+      ownerScope: null
+    };
+  }
+
   _inferName(implementation) {
     if (typeof implementation === 'function' && implementation.name) {
       return this.container._formatName(implementation.name);
@@ -1286,13 +3793,204 @@ class ServiceBuilder {
   }
 }
 
+// ============ SERVICE POOL ============
+
+class ServicePool {
+  constructor(container, service) {
+    this.container = container;
+    this.service = service;
+    this.options = service.pool;
+    this._idle = [];          // { instance, timer }, most recently released last
+    this._inUse = new Set();
+    this._waiters = [];       // { resolve, reject, timer }, first come first served
+    this._creating = 0;
+    this._filled = false;     // Set once min instances have been created
+    this._filling = null;     // Promise of the first fill, shared by concurrent acquire() calls
+    this._closed = false;
+  }
+
+  /**
+   * Take an idle instance, create one below max, or wait for a release
+   *
+   * The first call creates `min` instances before borrowing one of them.
+   *
+   * @returns {Promise<*>} The borrowed instance
+   */
+  acquire() {
+    if (!this._filled && this.options.min > 0) {
+      if (!this._filling) {
+        this._filling = this._fill().finally(() => { this._filling = null; });
+      }
+      return this._filling.then(() => this.acquire());
+    }
+
+    const entry = this._idle.pop();
+    if (entry) {
+      clearTimeout(entry.timer);
+      this._inUse.add(entry.instance);
+      return Promise.resolve(entry.instance);
+    }
+
+    if (this._size() < this.options.max) {
+      return this._create();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      const timeout = this.options.acquireTimeoutMs;
+      if (timeout !== Infinity) {
+        waiter.timer = setTimeout(() => {
+          this._waiters.splice(this._waiters.indexOf(waiter), 1);
+          reject(new Error(ERRORS.POOL_EXHAUSTED(this.service.name, this.options.max, timeout)));
+        }, timeout);
+        waiter.timer.unref();
+      }
+      this._waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Hand an instance to the next waiter or park it as idle
+   * @param {*} instance - An instance returned by acquire()
+   */
+  release(instance) {
+    if (!this._inUse.has(instance) || this._closed) {
+      this._inUse.delete(instance);
+      return;
+    }
+
+    const waiter = this._waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(instance);
+      return;
+    }
+
+    this._inUse.delete(instance);
+    const entry = { instance, timer: null };
+    if (this.options.idleTimeoutMs !== Infinity) {
+      entry.timer = setTimeout(() => this._evict(entry), this.options.idleTimeoutMs);
+      entry.timer.unref();
+    }
+    this._idle.push(entry);
+  }
+
+  stats() {
+    return {
+      size: this._size(),
+      available: this._idle.length,
+      inUse: this._inUse.size,
+      waiters: this._waiters.length,
+      min: this.options.min,
+      max: this.options.max
+    };
+  }
+
+  /**
+   * Stop the pool, failing waiters with the given error
+   * @param {Error} [error] - Rejection for pending acquire() calls
+   * @returns {Array} Idle and borrowed instances, for the caller to dispose
+   */
+  close(error = new Error(ERRORS.POOL_CLOSED(this.service.name))) {
+    this._closed = true;
+
+    this._waiters.splice(0).forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(error);
+    });
+    this._idle.forEach(entry => clearTimeout(entry.timer));
+
+    const instances = this._idle.splice(0).map(entry => entry.instance).concat(Array.from(this._inUse));
+    this._inUse.clear();
+    return instances;
+  }
+
+  _size() {
+    return this._idle.length + this._inUse.size + this._creating;
+  }
+
+  /**
+   * Create instances up to min and park them as idle
+   * @returns {Promise<void>} Rejects with the first creation error, so the next acquire() retries
+   */
+  async _fill() {
+    const missing = Math.max(0, this.options.min - this._size());
+    const results = await Promise.allSettled(Array.from({ length: missing }, () => this._create()));
+
+    results.forEach(result => {
+      if (result.status === 'fulfilled') this.release(result.value);
+    });
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) throw failure.reason;
+    this._filled = true;
+  }
+
+  async _create() {
+    this._creating++;
+    let instance;
+    try {
+      instance = await this.container._createInstanceAsync(this.service, null, [this.service]);
+    } catch (error) {
+      // The slot is free again, so the next waiter may succeed
+      const waiter = this._waiters.shift();
+      if (waiter) {
+        clearTimeout(waiter.timer);
+        this._create().then(waiter.resolve, waiter.reject);
+      }
+      throw error;
+    } finally {
+      this._creating--;
+    }
+
+    if (this._closed) {
+      await this.container._disposeInstance(instance);
+      throw new Error(ERRORS.POOL_CLOSED(this.service.name));
+    }
+
+    this._inUse.add(instance);
+    if (this.container.options.verbose) {
+      console.log(`[SDIJS:POOL] Created '${this.service.name}' instance (${this._size()}/${this.options.max})`);
+    }
+    return instance;
+  }
+
+  _evict(entry) {
+    const index = this._idle.indexOf(entry);
+    if (index === -1 || this._size() <= this.options.min) return;
+
+    this._idle.splice(index, 1);
+    try {
+      const result = this.container._disposeInstance(entry.instance);
+      if (this.container._isThenable(result)) {
+        result.catch(error => console.warn(`Failed to dispose ${this.service.name}:`, error));
+      }
+    } catch (error) {
+      console.warn(`Failed to dispose ${this.service.name}:`, error);
+    }
+  }
+}
+
 // ============ SCOPE CLASS ============
 
 class Scope {
-  constructor(container, name) {
+  constructor(container, name, options = {}, parent = null) {
     this.container = container;
     this.name = name;
+    this.level = options.level ?? name;
+    this.parent = parent;
+    this.createdAt = Date.now();
+    this.lastResolvedAt = this.createdAt;
+    this.ttlMs = options.ttlMs ?? null;
+    this.idleMs = options.idleMs ?? null;
     this._instances = new Map();
+    this._pending = new Map();
+    this._services = new Map(); // Registrations made with value() and register(), shadowing the container's
+    this._leases = new Set(); // Release functions for pooled instances acquired in this scope
+    this._children = new Set(); // Scopes created with createChild(), disposed before this one
+    this._disposed = false;
+    this._expiredBy = null; // 'ttl' or 'idle' once the scope has expired
+    this._expiryTimer = null;
+    this._scheduleExpiry();
   }
 
   /**
@@ -1301,26 +3999,124 @@ class Scope {
    * @returns {*} Resolved service
    */
   resolve(name) {
-    return this.container.resolve(name, this.name);
+    return this.container.resolve(name, this);
+  }
+
+  /**
+   * Resolve a service within this scope, awaiting async factories
+   * @param {string} name - Service name
+   * @returns {Promise<*>} Resolved service
+   */
+  resolveAsync(name) {
+    return this.container.resolveAsync(name, this);
+  }
+
+  /**
+   * Register a value visible only in this scope and its children
+   * @param {string} name - Service name
+   * @param {*} value - The value
+   * @returns {Scope} For chaining
+   *
+   * @example
+   * ```javascript
+   * scope.value('req', req).value('user', req.user).value('traceId', req.headers['x-trace-id']);
+   * ```
+   */
+  value(name, value) {
+    if (!isValidToken(name)) {
+      throw new Error(ERRORS.INVALID_TOKEN());
+    }
+    return this.register(value, name).asValue();
+  }
+
+  /**
+   * Register a service visible only in this scope and its children
+   *
+   * Scope registrations shadow container registrations of the same name, also
+   * for the dependencies of services created in this scope. Singletons and
+   * scoped services registered here are cached in this scope.
+   *
+   * @param {Function|*} implementation - Class, factory function or value
+   * @param {string} [name] - Service name, inferred from the class name if omitted
+   * @returns {ServiceBuilder} Fluent builder returning this scope
+   *
+   * @example
+   * ```javascript
+   * scope.register(InMemoryMailer, 'mailer').asTransient();
+   * ```
+   */
+  register(implementation, name) {
+    return new ServiceBuilder(this.container, implementation, name, this);
+  }
+
+  /**
+   * Create a scope nested in this one
+   *
+   * Only services registered for this scope's level (and this scope's own value()
+   * and register() registrations) are shared with the child; plain `.asScoped()`
+   * services get their own instance there. The child is disposed before its parent.
+   *
+   * @param {string|Object} [name] - Scope name, a unique ID is generated when omitted; may be the options instead
+   * @param {Object} [options={}] - Scope options, as in createScope()
+   * @returns {Scope} The child scope
+   *
+   * @example
+   * ```javascript
+   * const request = container.createScope('request');
+   * const transaction = request.createChild('transaction');
+   * transaction.resolve('requestContext') === request.resolve('requestContext'); // asScoped('request')
+   * ```
+   */
+  createChild(name, options = {}) {
+    if (this._disposed) {
+      throw new Error(ERRORS.SCOPE_DISPOSED(this.name));
+    }
+    return this.container._createScope(name, options, this);
+  }
+
+  /**
+   * Borrow a pooled instance, released when this scope is disposed
+   * @param {string} name - Service name
+   * @returns {Promise<{instance: *, release: Function}>} The instance and a function handing it back
+   */
+  acquire(name) {
+    return this.container.acquire(name, this);
   }
 
   /**
-   * Clear this scope (dispose scoped instances)
+   * Clear this scope (dispose scoped instances) and unregister it from the container
    * @returns {Scope} For chaining
    */
   dispose() {
-    // Call dispose methods on instances if they exist
-    this._instances.forEach((instance, name) => {
-      if (instance && typeof instance.dispose === 'function') {
-        try {
-          instance.dispose();
-        } catch (error) {
-          console.warn(`Failed to dispose ${name}:`, error);
+    Array.from(this._children).reverse().forEach(child => child.dispose());
+    this._release().forEach(([name, instance]) => {
+      try {
+        const result = this.container._disposeInstance(instance);
+        if (this.container._isThenable(result)) {
+          result.catch(error => this._reportDisposeError(name, error));
         }
+      } catch (error) {
+        this._reportDisposeError(name, error);
       }
     });
-    
-    this._instances.clear();
+    return this;
+  }
+
+  /**
+   * Dispose this scope one instance at a time, awaiting async disposers
+   * @returns {Promise<Scope>} For chaining
+   */
+  async disposeAsync() {
+    for (const child of Array.from(this._children).reverse()) {
+      await child.disposeAsync();
+    }
+    for (const [name, instance] of this._release()) {
+      try {
+        await this.container._disposeInstance(instance);
+      } catch (error) {
+        this._reportDisposeError(name, error);
+      }
+    }
     return this;
   }
 
@@ -1331,6 +4127,116 @@ class Scope {
   getInstances() {
     return new Map(this._instances);
   }
+
+  /**
+   * Check whether ttlMs or idleMs has elapsed
+   * @returns {boolean} True once expired, even before the scope has been disposed
+   */
+  isExpired() {
+    return this._expiredBy !== null || this._expiryReason(Date.now()) !== null;
+  }
+
+  _expiryReason(now) {
+    if (this.ttlMs !== null && now - this.createdAt >= this.ttlMs) return 'ttl';
+    if (this.idleMs !== null && now - this.lastResolvedAt >= this.idleMs) return 'idle';
+    return null;
+  }
+
+  /**
+   * Dispose this scope if it has expired, firing the scopeExpired hook
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} True if the scope expired now
+   */
+  _expire(now = Date.now()) {
+    if (this._disposed) return false;
+    const reason = this._expiryReason(now);
+    if (!reason) return false;
+
+    this._expiredBy = reason;
+    this.dispose();
+    if (this.container.options.verbose) {
+      console.log(`[SDIJS:SCOPE] Scope '${this.name}' expired (${reason})`);
+    }
+    this.container._callHooks('scopeExpired', { scope: this, scopeName: this.name, reason });
+    return true;
+  }
+
+  /**
+   * Wake up at the nearest deadline; resolutions in between only move lastResolvedAt,
+   * so an idle deadline that has moved is rescheduled rather than expired
+   */
+  _scheduleExpiry() {
+    const deadlines = [];
+    if (this.ttlMs !== null) deadlines.push(this.createdAt + this.ttlMs);
+    if (this.idleMs !== null) deadlines.push(this.lastResolvedAt + this.idleMs);
+    if (deadlines.length === 0) return;
+
+    // setTimeout overflows past 2^31 - 1 ms
+    const delay = Math.min(Math.max(0, Math.min(...deadlines) - Date.now()), 2147483647);
+    this._expiryTimer = setTimeout(() => {
+      if (!this._expire() && !this._disposed) this._scheduleExpiry();
+    }, delay);
+    this._expiryTimer.unref();
+  }
+
+  _reportDisposeError(name, error) {
+    console.warn(`Failed to dispose ${tokenLabel(name)}:`, error);
+    this.container._callHooks('disposeError', { name: cacheName(name), scopeName: this.name, error });
+  }
+
+  _register(registration) {
+    if (this._disposed) {
+      throw new Error(ERRORS.SCOPE_DISPOSED(this.name));
+    }
+
+    // Nothing registered in a scope outlives it
+    if (registration.lifecycle === LIFECYCLE.SINGLETON) {
+      registration.lifecycle = LIFECYCLE.SCOPED;
+    }
+    registration.ownerScope = this;
+
+    this._instances.delete(registration.cacheKey);
+    this._pending.delete(registration.cacheKey);
+    this._services.set(registration.token, registration);
+  }
+
+  /**
+   * Mark this scope disposed and unregister it, once
+   * @returns {Array} [name, instance] entries to dispose, in reverse creation order
+   */
+  _release() {
+    if (this._disposed) return [];
+    this._disposed = true;
+    clearTimeout(this._expiryTimer);
+
+    if (this.container._scopes.get(this.name) === this) {
+      this.container._scopes.delete(this.name);
+    }
+    if (this.parent) {
+      this.parent._children.delete(this);
+    }
+
+    // Pooled instances go back to their pools rather than being disposed
+    Array.from(this._leases).forEach(release => release());
+
+    const entries = Array.from(this._instances).reverse();
+    this._instances.clear();
+    this._pending.clear();
+    this._services.clear();
+    return entries;
+  }
+}
+
+// `using` / `await using` support where the runtime defines the disposal symbols
+if (typeof Symbol.dispose === 'symbol') {
+  Scope.prototype[Symbol.dispose] = function () {
+    this.dispose();
+  };
+}
+if (typeof Symbol.asyncDispose === 'symbol') {
+  Scope.prototype[Symbol.asyncDispose] = function () {
+    return this.disposeAsync();
+  };
 }
 
 // ============ EXPORTS ============
@@ -0,0 +1,112 @@
+/**
+ * Service alias tests
+ * Several names resolving the same registration
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+class UserRepository {
+  constructor({}) {
+    this.users = [];
+  }
+}
+
+describe('Service Aliases', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+  });
+
+  it('should resolve the same singleton through both names', () => {
+    container.singleton(UserRepository);
+    container.alias('userRepo', 'userRepository');
+
+    const repo = container.resolve('userRepo');
+    assert.strictEqual(repo, container.resolve('userRepository'));
+    assert.strictEqual(container._instances.size, 1);
+  });
+
+  it('should resolve aliases through the destructuring proxy', () => {
+    container.singleton(UserRepository);
+    container.alias('userRepo', 'userRepository');
+    container.factory('userService', ({userRepo}) => ({ userRepo })).asTransient();
+
+    assert.strictEqual(container.resolve('userService').userRepo, container.resolve('userRepository'));
+  });
+
+  it('should follow alias chains', async () => {
+    container.factory('db', async () => ({ connected: true })).asSingleton();
+    container.alias('database', 'db').alias('primaryDb', 'database');
+
+    assert.strictEqual(await container.resolveAsync('primaryDb'), await container.resolveAsync('db'));
+    assert.strictEqual(container.has('primaryDb'), true);
+  });
+
+  it('should allow targets registered later', () => {
+    container.alias('userRepo', 'userRepository');
+    assert.throws(() => container.resolve('userRepo'), /Service 'userRepository' not found/);
+
+    container.singleton(UserRepository);
+    assert.ok(container.resolve('userRepo') instanceof UserRepository);
+  });
+
+  it('should reject alias cycles', () => {
+    container.alias('a', 'b').alias('b', 'c');
+
+    assert.throws(() => container.alias('c', 'a'), /Alias cycle detected: c → a → b → c/);
+    assert.throws(() => container.alias('d', 'd'), /Alias cycle detected: d → d/);
+  });
+
+  it('should reject dangerous names', () => {
+    container.singleton(UserRepository);
+
+    assert.throws(() => container.alias('__proto__', 'userRepository'), /Dangerous property access blocked: '__proto__'/);
+    assert.throws(() => container.alias('repo', 'constructor'), /Dangerous property access blocked: 'constructor'/);
+  });
+
+  it('should not shadow registered services', () => {
+    container.singleton(UserRepository);
+    container.value('userRepo', {});
+
+    assert.throws(() => container.alias('userRepo', 'userRepository'), /Cannot alias 'userRepo'/);
+  });
+
+  it('should list aliases on request', () => {
+    container.singleton(UserRepository);
+    container.alias('userRepo', 'userRepository');
+
+    assert.deepStrictEqual(container.getServiceNames(), ['userRepository']);
+    assert.deepStrictEqual(container.getServiceNames({ includeAliases: true }), ['userRepository', 'userRepo']);
+    assert.deepStrictEqual(container.getAliases(), { userRepo: 'userRepository' });
+  });
+
+  it('should resolve parent services through child aliases', () => {
+    container.singleton(UserRepository);
+    const child = container.createChild();
+    child.alias('userRepo', 'userRepository');
+
+    assert.strictEqual(child.resolve('userRepo'), container.resolve('userRepository'));
+    assert.strictEqual(container.has('userRepo'), false);
+  });
+
+  it('should be validated like the target', () => {
+    container.singleton(UserRepository);
+    container.alias('userRepo', 'userRepository');
+    container.factory('userService', ({userRepo}) => userRepo).asSingleton();
+
+    assert.strictEqual(container.validate().valid, true);
+  });
+
+  it('should unregister the alias only', () => {
+    container.singleton(UserRepository);
+    container.alias('userRepo', 'userRepository');
+
+    container.unregister('userRepo');
+    assert.strictEqual(container.has('userRepo'), false);
+    assert.strictEqual(container.has('userRepository'), true);
+  });
+
+});
@@ -0,0 +1,376 @@
+/**
+ * Async resolution tests
+ * Async factories awaited transitively through the destructuring proxy
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('Async Resolution', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+  });
+
+  describe('resolveAsync()', () => {
+
+    it('should await async factories', async () => {
+      container.value('config', { url: 'db://local' });
+      container.factory('db', async ({config}) => {
+        await delay(5);
+        return { url: config.url, connected: true };
+      }).asSingleton();
+
+      const db = await container.resolveAsync('db');
+      assert.deepStrictEqual(db, { url: 'db://local', connected: true });
+    });
+
+    it('should inject settled values into destructured dependencies', async () => {
+      container.factory('db', async () => delay(5, { connected: true })).asSingleton();
+
+      class UserRepository {
+        constructor({db}) {
+          this.db = db;
+        }
+      }
+      container.singleton(UserRepository);
+
+      const repo = await container.resolveAsync('userRepository');
+      assert.strictEqual(repo.db.connected, true);
+      assert.strictEqual(typeof repo.db.then, 'undefined');
+    });
+
+    it('should await async dependencies transitively', async () => {
+      container.factory('config', async () => delay(5, { pool: 4 })).asSingleton();
+      container.factory('pool', async ({config}) => delay(5, { size: config.pool })).asSingleton();
+
+      class UserService {
+        constructor({pool, config}) {
+          this.pool = pool;
+          this.config = config;
+        }
+      }
+      container.transient(UserService);
+
+      const service = await container.resolveAsync('userService');
+      assert.strictEqual(service.pool.size, 4);
+      assert.strictEqual(service.config.pool, 4);
+    });
+
+    it('should resolve synchronous services as well', async () => {
+      container.value('answer', 42);
+      assert.strictEqual(await container.resolveAsync('answer'), 42);
+    });
+
+    it('should cache the settled singleton value', async () => {
+      let created = 0;
+      container.factory('db', async () => {
+        created++;
+        return { id: created };
+      }).asSingleton();
+
+      const first = await container.resolveAsync('db');
+      const second = await container.resolveAsync('db');
+
+      assert.strictEqual(first, second);
+      assert.strictEqual(created, 1);
+    });
+
+    it('should de-duplicate concurrent in-flight creations', async () => {
+      let created = 0;
+      container.factory('pool', async () => {
+        created++;
+        await delay(10);
+        return { id: created };
+      }).asSingleton();
+
+      class ServiceA {
+        constructor({pool}) { this.pool = pool; }
+      }
+      class ServiceB {
+        constructor({pool}) { this.pool = pool; }
+      }
+      container.transient(ServiceA).transient(ServiceB);
+
+      const [a, b, pool] = await Promise.all([
+        container.resolveAsync('serviceA'),
+        container.resolveAsync('serviceB'),
+        container.resolveAsync('pool')
+      ]);
+
+      assert.strictEqual(created, 1);
+      assert.strictEqual(a.pool, pool);
+      assert.strictEqual(b.pool, pool);
+    });
+
+    it('should not cache failed creations', async () => {
+      let attempts = 0;
+      container.factory('flaky', async () => {
+        attempts++;
+        if (attempts === 1) throw new Error('connection refused');
+        return { ok: true };
+      }).asSingleton();
+
+      await assert.rejects(container.resolveAsync('flaky'), /connection refused/);
+      assert.deepStrictEqual(await container.resolveAsync('flaky'), { ok: true });
+    });
+
+    it('should create a new instance per call for transient services', async () => {
+      container.factory('request', async () => ({ at: Math.random() })).asTransient();
+
+      const first = await container.resolveAsync('request');
+      const second = await container.resolveAsync('request');
+      assert.notStrictEqual(first, second);
+    });
+
+    it('should detect circular dependencies', async () => {
+      container.factory('a', async ({b}) => b).asSingleton();
+      container.factory('b', async ({a}) => a).asSingleton();
+
+      await assert.rejects(container.resolveAsync('a'), /Circular dependency detected: a → b → a/);
+    });
+
+    it('should resolve dependencies read after construction', async () => {
+      class Reporter {
+        constructor(deps) {
+          this.deps = deps;
+        }
+
+        title() {
+          return this.deps.config.title;
+        }
+      }
+      container.value('config', { title: 'weekly' });
+      container.factory('formatter', (deps) => ({ format: () => deps.config.title.toUpperCase() }))
+        .dependsOn('config')
+        .asTransient();
+      container.register(Reporter).dependsOn('config').asTransient();
+
+      const formatter = await container.resolveAsync('formatter');
+      const reporter = await container.resolveAsync('reporter');
+      assert.strictEqual(formatter.format(), 'WEEKLY');
+      assert.strictEqual(reporter.title(), 'weekly');
+    });
+
+    it('should resolve dependencies read after construction by eager and pooled services', async () => {
+      container.value('config', { title: 'weekly' });
+      container.factory('scheduler', (deps) => ({ title: () => deps.config.title })).dependsOn('config').eager().asSingleton();
+      container.factory('worker', (deps) => ({ title: () => deps.config.title })).dependsOn('config').asPooled({ max: 1 });
+
+      await container.start();
+      const { instance, release } = await container.acquire('worker');
+      assert.strictEqual(container.resolve('scheduler').title(), 'weekly');
+      assert.strictEqual(instance.title(), 'weekly');
+      release();
+    });
+
+    it('should call constructors and factories exactly once', async () => {
+      let constructed = 0;
+      let connects = 0;
+      class Mailer {
+        constructor(deps) {
+          constructed++;
+          this.config = deps.config;
+          this.logger = deps.logger;
+        }
+      }
+      container.factory('config', async () => ({ host: 'smtp' })).asSingleton();
+      container.factory('logger', async () => ({ log() {} })).asSingleton();
+      container.register(Mailer).dependsOn(['config', 'logger']).asSingleton();
+      container.factory('pool', async (deps) => {
+        connects++;
+        await null;
+        return { logger: deps.logger };
+      }).dependsOn('logger').asSingleton();
+
+      const mailer = await container.resolveAsync('mailer');
+      const pool = await container.resolveAsync('pool');
+      assert.deepStrictEqual([constructed, connects], [1, 1]);
+      assert.strictEqual(mailer.config.host, 'smtp');
+      assert.strictEqual(pool.logger, mailer.logger);
+    });
+
+    it('should not let implementations catch unsettled dependencies', async () => {
+      container.factory('metrics', async () => 'statsd').asSingleton();
+      container.factory('reporter', (deps) => {
+        let sink;
+        try {
+          sink = deps.metrics;
+        } catch {
+          sink = 'fallback';
+        }
+        return { sink };
+      }).dependsOn('metrics').asSingleton();
+
+      assert.strictEqual((await container.resolveAsync('reporter')).sink, 'statsd');
+    });
+
+    it('should reject services whose dependencies cannot be read', async () => {
+      container.factory('formatter', (deps) => ({ deps })).asTransient();
+
+      await assert.rejects(
+        container.resolveAsync('formatter'),
+        /Cannot resolve 'formatter' asynchronously: its dependencies cannot be read from its parameters/
+      );
+    });
+
+    it('should report missing services', async () => {
+      await assert.rejects(container.resolveAsync('missing'), /Service 'missing' not found/);
+    });
+
+    it('should call resolve and create hooks', async () => {
+      const events = [];
+      container
+        .hook('beforeResolve', ({name}) => events.push(`beforeResolve:${name}`))
+        .hook('afterCreate', ({service}) => events.push(`afterCreate:${service.name}`))
+        .hook('afterResolve', ({name}) => events.push(`afterResolve:${name}`));
+
+      container.factory('db', async () => ({})).asSingleton();
+      await container.resolveAsync('db');
+
+      assert.deepStrictEqual(events, ['beforeResolve:db', 'afterCreate:db', 'afterResolve:db']);
+    });
+
+  });
+
+  describe('Scoped async resolution', () => {
+
+    it('should cache settled values per scope', async () => {
+      let created = 0;
+      container.factory('session', async () => ({ id: ++created })).asScoped();
+
+      const scope1 = container.createScope('request1');
+      const scope2 = container.createScope('request2');
+
+      const [a, b] = await Promise.all([scope1.resolveAsync('session'), scope1.resolveAsync('session')]);
+      const c = await scope2.resolveAsync('session');
+
+      assert.strictEqual(a, b);
+      assert.notStrictEqual(a, c);
+      assert.strictEqual(created, 2);
+      assert.strictEqual(scope1.getInstances().get('session'), a);
+    });
+
+  });
+
+  describe('Async decorators', () => {
+
+    it('should apply decorators to the settled instance', async () => {
+      container.value('tracer', {
+        decorate: (instance) => ({ ...instance, traced: true })
+      });
+      container.factory('db', async () => ({ query: (sql) => sql }))
+        .decorateWith(['tracer'])
+        .decorate((instance) => ({ ...instance, timed: true }))
+        .asSingleton();
+
+      const db = await container.resolveAsync('db');
+      assert.strictEqual(db.traced, true);
+      assert.strictEqual(db.timed, true);
+      assert.strictEqual(db.query('SELECT 1'), 'SELECT 1');
+    });
+
+  });
+
+  describe('Isolated resolution context', () => {
+
+    it('should report the full chain of a synchronous cycle', () => {
+      class ServiceA { constructor({serviceB}) { this.serviceB = serviceB; } }
+      class ServiceB { constructor({serviceC}) { this.serviceC = serviceC; } }
+      class ServiceC { constructor({serviceA}) { this.serviceA = serviceA; } }
+      container.singleton(ServiceA).singleton(ServiceB).singleton(ServiceC);
+
+      assert.throws(
+        () => container.resolve('serviceA'),
+        /Circular dependency detected: serviceA → serviceB → serviceC → serviceA/
+      );
+      // A failed resolution leaves nothing behind for the next one
+      assert.throws(
+        () => container.resolve('serviceB'),
+        /Circular dependency detected: serviceB → serviceC → serviceA → serviceB/
+      );
+    });
+
+    it('should isolate interleaved async resolutions', async () => {
+      container.factory('config', async () => delay(10, { ready: true })).asSingleton();
+      container.factory('reports', async ({config}) => {
+        await delay(5);
+        return { config };
+      }).asTransient();
+      container.factory('billing', async ({config, reports}) => {
+        await delay(1);
+        return { config, reports };
+      }).asTransient();
+
+      const [reports, billing, again] = await Promise.all([
+        container.resolveAsync('reports'),
+        container.resolveAsync('billing'),
+        container.resolveAsync('reports')
+      ]);
+
+      assert.strictEqual(reports.config.ready, true);
+      assert.strictEqual(billing.reports.config, reports.config);
+      assert.notStrictEqual(again, reports);
+    });
+
+    it('should report the full chain of a cycle while other resolutions interleave', async () => {
+      container.factory('slow', async () => delay(10, 'slow')).asSingleton();
+      container.factory('a', async ({b}) => b).asTransient();
+      container.factory('b', async ({slow, c}) => ({ slow, c })).asTransient();
+      container.factory('c', async ({slow, a}) => ({ slow, a })).asTransient();
+
+      const [slow, cycle] = await Promise.allSettled([
+        container.resolveAsync('slow'),
+        container.resolveAsync('a')
+      ]);
+
+      assert.strictEqual(slow.value, 'slow');
+      assert.match(cycle.reason.message, /Circular dependency detected: a → b → c → a/);
+    });
+
+    it('should let hooks resolve other services mid-resolution', () => {
+      const audited = [];
+      container.value('auditLog', { write: (entry) => audited.push(entry) });
+      container.hook('afterCreate', ({service}) => {
+        if (service.name !== 'auditLog') {
+          container.resolve('auditLog').write(service.name);
+        }
+      });
+
+      class Repository { constructor({}) {} }
+      class UserService { constructor({repository}) { this.repository = repository; } }
+      container.singleton(Repository).singleton(UserService);
+
+      container.resolve('userService');
+      assert.deepStrictEqual(audited, ['repository', 'userService']);
+    });
+
+    it('should not report a cycle when a dependency is accessed after construction', () => {
+      container.factory('notifier', (deps) => ({
+        notify: () => deps.mailer.send()
+      })).asSingleton();
+      container.factory('mailer', ({notifier}) => ({
+        send: () => 'sent',
+        notifier
+      })).asSingleton();
+
+      const notifier = container.resolve('notifier');
+      assert.strictEqual(notifier.notify(), 'sent');
+      assert.strictEqual(container.resolve('mailer').notifier, notifier);
+    });
+
+    it('should not report a cycle when a transient reads a dependency after construction', () => {
+      container.factory('a', (deps) => ({ getB: () => deps.b })).asTransient();
+      container.factory('b', ({a}) => ({ a })).asTransient();
+
+      const b = container.resolve('a').getB();
+      assert.ok(b.a.getB);
+    });
+
+  });
+
+});
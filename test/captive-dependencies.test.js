@@ -0,0 +1,194 @@
+/**
+ * Captive dependency tests
+ * Longer-lived services must not hold shorter-lived ones
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+class RequestContext {
+  constructor({}) {}
+}
+
+class UserService {
+  constructor({requestContext}) {
+    this.requestContext = requestContext;
+  }
+}
+
+describe('Captive Dependency Detection', () => {
+
+  let container;
+  let warnings;
+  let originalWarn;
+
+  beforeEach(() => {
+    container = createContainer({ lifetimeValidation: 'error' });
+    warnings = [];
+    originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+  });
+
+  afterEach(() => {
+    console.warn = originalWarn;
+  });
+
+  it('should warn by default', () => {
+    const defaults = createContainer();
+    assert.strictEqual(defaults.options.lifetimeValidation, 'warn');
+
+    defaults.register(RequestContext).asScoped();
+    defaults.singleton(UserService);
+    defaults.createScope('request');
+
+    assert.doesNotThrow(() => defaults.resolve('userService', 'request'));
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /Captive dependency detected: singleton userService → scoped requestContext/);
+  });
+
+  it('should throw when a singleton captures a scoped service', () => {
+    container.register(RequestContext).asScoped();
+    container.singleton(UserService);
+    container.createScope('request');
+
+    assert.throws(
+      () => container.resolve('userService', 'request'),
+      /Captive dependency detected: singleton userService → scoped requestContext/
+    );
+    assert.strictEqual(container._instances.has('userService'), false);
+  });
+
+  it('should throw when a singleton captures a transient service', () => {
+    container = createContainer({ lifetimeValidation: 'error', transientCaptives: true });
+    container.transient('requestContext', RequestContext);
+    container.singleton(UserService);
+
+    assert.throws(
+      () => container.resolve('userService'),
+      /singleton userService → transient requestContext/
+    );
+  });
+
+  it('should throw when a scoped service captures a transient service', () => {
+    container = createContainer({ lifetimeValidation: 'error', transientCaptives: true });
+    container.transient('requestContext', RequestContext);
+    container.register(UserService).asScoped();
+    container.createScope('request');
+
+    assert.throws(
+      () => container.resolve('userService', 'request'),
+      /scoped userService → transient requestContext/
+    );
+  });
+
+  it('should name the chain through intermediate transients', () => {
+    class ReportService {
+      constructor({userService}) {
+        this.userService = userService;
+      }
+    }
+
+    const warning = createContainer({ lifetimeValidation: 'warn' });
+    warning.register(RequestContext).asScoped();
+    warning.transient(UserService);
+    warning.singleton(ReportService);
+    warning.createScope('request');
+
+    warning.resolve('reportService', 'request');
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /singleton reportService → transient userService → scoped requestContext/);
+  });
+
+  it('should not report transient dependencies by default in any mode', () => {
+    ['warn', 'error'].forEach(lifetimeValidation => {
+      const defaults = createContainer({ lifetimeValidation });
+      defaults.transient('requestContext', RequestContext);
+      defaults.singleton(UserService);
+
+      assert.doesNotThrow(() => defaults.resolve('userService'));
+      assert.deepStrictEqual(defaults.validate().captive, []);
+      assert.strictEqual(defaults.validate().valid, true);
+    });
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('should agree with validate() on transient captives', () => {
+    const warning = createContainer({ transientCaptives: true });
+    warning.transient('requestContext', RequestContext);
+    warning.singleton(UserService);
+
+    assert.deepStrictEqual(warning.validate().captive, [{
+      service: 'userService',
+      dependency: 'requestContext',
+      chain: 'singleton userService → transient requestContext'
+    }]);
+    warning.resolve('userService');
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /singleton userService → transient requestContext/);
+  });
+
+  it('should allow shorter-lived services to depend on longer-lived ones', () => {
+    class Database {
+      constructor({}) {}
+    }
+    class Repository {
+      constructor({database, config}) {
+        this.database = database;
+        this.config = config;
+      }
+    }
+
+    container.value('config', {});
+    container.singleton(Database);
+    container.register(Repository).asScoped();
+    container.transient('handler', class Handler {
+      constructor({repository}) {
+        this.repository = repository;
+      }
+    });
+    container.createScope('request');
+
+    assert.doesNotThrow(() => container.resolve('handler', 'request'));
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('should not report dependencies read after construction', () => {
+    class RequestLogger {
+      constructor(deps) {
+        this.deps = deps;
+      }
+      requestId() {
+        return this.deps.requestContext.id;
+      }
+    }
+    container.factory('requestContext', () => ({ id: 42 })).asScoped();
+    container.singleton(RequestLogger);
+    const scope = container.createScope('request');
+
+    const logger = container.resolve('requestLogger');
+    assert.strictEqual(container.runInScope(scope, () => logger.requestId()), 42);
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('should check async resolutions too', async () => {
+    container.factory('requestContext', async () => ({})).asScoped();
+    container.factory('userService', async ({requestContext}) => ({ requestContext })).asSingleton();
+    const scope = container.createScope('request');
+
+    await assert.rejects(
+      scope.resolveAsync('userService'),
+      /singleton userService → scoped requestContext/
+    );
+  });
+
+  it('should skip validation when turned off', () => {
+    const relaxed = createContainer({ lifetimeValidation: 'off' });
+    relaxed.register(RequestContext).asScoped();
+    relaxed.singleton(UserService);
+    relaxed.createScope('request');
+
+    assert.doesNotThrow(() => relaxed.resolve('userService', 'request'));
+    assert.deepStrictEqual(warnings, []);
+  });
+
+});
@@ -0,0 +1,159 @@
+/**
+ * Child container tests
+ * Per-tenant/per-module containers that fall back to a parent
+ */
+
+import assert from 'assert';
+import SDI, { createContainer } from '../index.js';
+
+describe('Child Containers', () => {
+
+  let root;
+
+  beforeEach(() => {
+    root = createContainer();
+  });
+
+  it('should create an SDI container inheriting the parent options', () => {
+    const strictRoot = createContainer({ strictMode: true, maxServices: 10 });
+    const child = strictRoot.createChild({ verbose: false });
+
+    assert.ok(child instanceof SDI);
+    assert.notStrictEqual(child, strictRoot);
+    assert.strictEqual(child.options.strictMode, true);
+    assert.strictEqual(child.options.maxServices, 10);
+  });
+
+  it('should fall back to parent registrations', () => {
+    root.value('config', { region: 'eu' });
+    const child = root.createChild();
+
+    assert.strictEqual(child.resolve('config').region, 'eu');
+    assert.strictEqual(child.has('config'), true);
+  });
+
+  it('should share singletons registered in the parent', () => {
+    class Database {
+      constructor({}) {}
+    }
+    root.singleton(Database);
+
+    const tenantA = root.createChild();
+    const tenantB = root.createChild();
+
+    const db = root.resolve('database');
+    assert.strictEqual(tenantA.resolve('database'), db);
+    assert.strictEqual(tenantB.resolve('database'), db);
+  });
+
+  it('should keep singletons registered in the child inside the child', () => {
+    class TenantCache {
+      constructor({}) {}
+    }
+
+    const tenantA = root.createChild();
+    const tenantB = root.createChild();
+    tenantA.singleton(TenantCache);
+    tenantB.singleton(TenantCache);
+
+    const cacheA = tenantA.resolve('tenantCache');
+    assert.strictEqual(tenantA.resolve('tenantCache'), cacheA);
+    assert.notStrictEqual(tenantB.resolve('tenantCache'), cacheA);
+    assert.strictEqual(root.has('tenantCache'), false);
+    assert.strictEqual(root._instances.size, 0);
+  });
+
+  it('should let the child override names without touching the parent', () => {
+    root.value('tenantId', 'default');
+    const child = root.createChild();
+    child.value('tenantId', 'acme');
+
+    assert.strictEqual(child.resolve('tenantId'), 'acme');
+    assert.strictEqual(root.resolve('tenantId'), 'default');
+  });
+
+  it('should inject parent services into child services', () => {
+    root.value('logger', { name: 'root-logger' });
+    const child = root.createChild();
+    child.value('tenantId', 'acme');
+
+    class TenantService {
+      constructor({logger, tenantId}) {
+        this.logger = logger;
+        this.tenantId = tenantId;
+      }
+    }
+    child.singleton(TenantService);
+
+    const service = child.resolve('tenantService');
+    assert.strictEqual(service.logger.name, 'root-logger');
+    assert.strictEqual(service.tenantId, 'acme');
+  });
+
+  it('should resolve parent services through multiple levels', async () => {
+    root.factory('pool', async () => ({ connected: true })).asSingleton();
+    const module = root.createChild();
+    const tenant = module.createChild();
+
+    const pool = await tenant.resolveAsync('pool');
+    assert.strictEqual(pool, await root.resolveAsync('pool'));
+  });
+
+  it('should still report missing services', () => {
+    const child = root.createChild();
+    assert.throws(() => child.resolve('missing'), /Service 'missing' not found/);
+  });
+
+  it('should allow overriding parent names in strict mode', () => {
+    const strictRoot = createContainer({ strictMode: true });
+    strictRoot.value('tenantId', 'default');
+    const child = strictRoot.createChild();
+
+    assert.doesNotThrow(() => child.value('tenantId', 'acme'));
+    assert.strictEqual(child.resolve('tenantId'), 'acme');
+  });
+
+  describe('Inherited discovery', () => {
+
+    beforeEach(() => {
+      root.value('userRepository', {}).value('logger', {});
+      root.register(class OrderRepository {}, 'orderRepository').withTag('repository').asSingleton();
+      root.register(class AuditRepository {}, 'auditRepository').withTag('repository').asSingleton();
+    });
+
+    it('should list only local names by default', () => {
+      const child = root.createChild();
+      child.value('tenantId', 'acme');
+
+      assert.deepStrictEqual(child.getServiceNames(), ['tenantId']);
+    });
+
+    it('should list inherited names on request', () => {
+      const child = root.createChild();
+      child.value('tenantId', 'acme').value('logger', {});
+
+      assert.deepStrictEqual(
+        child.getServiceNames({ includeInherited: true }),
+        ['tenantId', 'logger', 'userRepository', 'orderRepository', 'auditRepository']
+      );
+    });
+
+    it('should find inherited services by tags on request', () => {
+      const child = root.createChild();
+      child.register(class OrderRepository {}, 'orderRepository').withTag('repository').asSingleton();
+
+      assert.deepStrictEqual(child.getServiceNamesByTags(['repository']), ['orderRepository']);
+
+      const results = child.getServicesByTags(['repository'], 'AND', { includeInherited: true });
+      assert.deepStrictEqual(
+        results.map(({name, inherited}) => ({ name, inherited })),
+        [
+          { name: 'orderRepository', inherited: false },
+          { name: 'auditRepository', inherited: true }
+        ]
+      );
+    });
+
+  });
+
+});
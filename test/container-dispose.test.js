@@ -0,0 +1,136 @@
+/**
+ * Container disposal tests
+ * Tearing down cached singletons in reverse creation order
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Container Disposal', () => {
+
+  let container;
+  let disposed;
+
+  beforeEach(() => {
+    container = createContainer();
+    disposed = [];
+  });
+
+  it('should dispose singletons in reverse creation order', async () => {
+    class Database {
+      constructor({}) {}
+      dispose() { disposed.push('database'); }
+    }
+    class UserRepository {
+      constructor({database}) { this.database = database; }
+      dispose() { disposed.push('userRepository'); }
+    }
+    class UserService {
+      constructor({userRepository}) { this.userRepository = userRepository; }
+      dispose() { disposed.push('userService'); }
+    }
+
+    container.singleton(UserService).singleton(UserRepository).singleton(Database);
+    container.resolve('userService');
+
+    await container.dispose();
+    assert.deepStrictEqual(disposed, ['userService', 'userRepository', 'database']);
+  });
+
+  it('should await async disposers', async () => {
+    container.factory('pool', () => ({
+      close: async () => {
+        await new Promise(resolve => setTimeout(resolve, 5));
+        disposed.push('pool');
+      }
+    })).asSingleton();
+    container.factory('cache', ({pool}) => ({
+      dispose: () => disposed.push('cache'),
+      pool
+    })).asSingleton();
+
+    container.resolve('cache');
+
+    await container.dispose();
+    assert.deepStrictEqual(disposed, ['cache', 'pool']);
+  });
+
+  it('should support Symbol.dispose and Symbol.asyncDispose', async function () {
+    if (typeof Symbol.dispose !== 'symbol' || typeof Symbol.asyncDispose !== 'symbol') {
+      this.skip();
+    }
+
+    container.factory('timer', () => ({
+      [Symbol.dispose]: () => disposed.push('timer')
+    })).asSingleton();
+    container.factory('socket', () => ({
+      [Symbol.asyncDispose]: async () => disposed.push('socket'),
+      close: () => disposed.push('socket:close')
+    })).asSingleton();
+
+    container.resolve('timer');
+    container.resolve('socket');
+
+    await container.dispose();
+    assert.deepStrictEqual(disposed, ['socket', 'timer']);
+  });
+
+  it('should only dispose cached singletons', async () => {
+    container.value('config', { dispose: () => disposed.push('config') });
+    container.factory('job', () => ({ dispose: () => disposed.push('job') })).asTransient();
+    container.factory('unused', () => ({ dispose: () => disposed.push('unused') })).asSingleton();
+
+    container.resolve('config');
+    container.resolve('job');
+
+    await container.dispose();
+    assert.deepStrictEqual(disposed, []);
+  });
+
+  it('should aggregate failures and keep disposing', async () => {
+    container.factory('first', () => ({ dispose: () => disposed.push('first') })).asSingleton();
+    container.factory('broken', () => ({ dispose: () => { throw new Error('socket hang up'); } })).asSingleton();
+    container.factory('rejecting', () => ({ close: async () => { throw new Error('pool busy'); } })).asSingleton();
+
+    container.resolveAll(['first', 'broken', 'rejecting']);
+
+    await assert.rejects(container.dispose(), (error) => {
+      assert.ok(error instanceof AggregateError);
+      assert.strictEqual(error.errors.length, 2);
+      assert.match(error.errors[0].message, /Failed to dispose 'rejecting': pool busy/);
+      assert.match(error.errors[1].message, /Failed to dispose 'broken': socket hang up/);
+      return true;
+    });
+    assert.deepStrictEqual(disposed, ['first']);
+  });
+
+  it('should dispose singletons settled by resolveAsync', async () => {
+    container.factory('db', async () => ({ close: () => disposed.push('db') })).asSingleton();
+
+    await container.resolveAsync('db');
+
+    await container.dispose();
+    assert.deepStrictEqual(disposed, ['db']);
+  });
+
+  it('should refuse further resolution', async () => {
+    container.value('config', {});
+    container.createScope('request');
+
+    await container.dispose();
+
+    assert.throws(() => container.resolve('config'), /Container has been disposed/);
+    assert.throws(() => container.scope('request').resolve('config'), /Container has been disposed/);
+    await assert.rejects(container.resolveAsync('config'), /Container has been disposed/);
+  });
+
+  it('should be idempotent', async () => {
+    container.factory('db', () => ({ dispose: () => disposed.push('db') })).asSingleton();
+    container.resolve('db');
+
+    await container.dispose();
+    await container.dispose();
+    assert.deepStrictEqual(disposed, ['db']);
+  });
+
+});
@@ -0,0 +1,163 @@
+/**
+ * Decorator ordering tests
+ * Decorator priorities, conditions and the chain reported by describe()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Decorator Ordering', () => {
+
+  let container;
+
+  const label = (text) => {
+    const decorator = (instance) => Object.assign(instance, { labels: (instance.labels || []).concat(text) });
+    Object.defineProperty(decorator, 'name', { value: text });
+    return decorator;
+  };
+
+  class UserRepository {
+    find() {
+      return 'user';
+    }
+  }
+
+  class CacheDecorator {
+    decorate(instance) {
+      return Object.assign(instance, { labels: (instance.labels || []).concat('cache') });
+    }
+  }
+
+  beforeEach(() => {
+    container = createContainer({ autoBinding: false });
+    container.register(CacheDecorator).asSingleton();
+  });
+
+  it('should keep the default order without priorities', () => {
+    container.register(UserRepository)
+      .decorate(label('function'))
+      .decorateWith(['cacheDecorator'])
+      .asSingleton();
+
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['cache', 'function']);
+  });
+
+  it('should apply higher priorities first', () => {
+    container.register(UserRepository)
+      .decorateWith(['cacheDecorator'])
+      .decorate(label('timing'), { priority: 10 })
+      .decorate(label('audit'), { priority: -5 })
+      .decorate(label('logging'))
+      .asSingleton();
+
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['timing', 'cache', 'logging', 'audit']);
+  });
+
+  it('should sort global decorators into the same chain', () => {
+    container.decorateAll({ tags: ['repository'] }, label('global-high'), { priority: 5 });
+    container.decorateAll({ tags: ['repository'] }, label('global'));
+    container.register(UserRepository)
+      .withTag('repository')
+      .decorate(label('own'))
+      .asSingleton();
+
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['global-high', 'own', 'global']);
+  });
+
+  it('should skip decorators whose condition is false', () => {
+    container.value('env', 'development');
+    container.register(UserRepository)
+      .decorateWith(['cacheDecorator'], { when: ({env}) => env === 'production' })
+      .decorate(label('debug'), { when: ({env}) => env !== 'production' })
+      .asTransient();
+
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['debug']);
+
+    container.register('production', 'env').override().asValue();
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['cache']);
+  });
+
+  it('should evaluate conditions in the resolving scope', () => {
+    container.register(UserRepository)
+      .decorate(label('traced'), { when: ({traceId}) => traceId !== undefined })
+      .asScoped();
+    container.value('traceId', undefined);
+
+    const traced = container.createScope('traced').value('traceId', 'abc');
+    assert.deepStrictEqual(traced.resolve('userRepository').labels, ['traced']);
+    assert.strictEqual(container.createScope('plain').resolve('userRepository').labels, undefined);
+  });
+
+  it('should not settle inactive decorator services asynchronously', async () => {
+    let created = 0;
+    container.factory('slowDecorator', async () => {
+      created++;
+      return { decorate: label('slow') };
+    }).asSingleton();
+    container.register(UserRepository)
+      .decorateWith(['slowDecorator'], { when: () => false })
+      .asSingleton();
+
+    const repository = await container.resolveAsync('userRepository');
+    assert.strictEqual(repository.labels, undefined);
+    assert.strictEqual(created, 0);
+  });
+
+  it('should apply global conditions', () => {
+    container.value('env', 'test');
+    container.decorateAll({ tags: ['repository'] }, ['cacheDecorator'], { when: ({env}) => env === 'production' });
+    container.register(UserRepository).withTag('repository').asSingleton();
+
+    assert.strictEqual(container.resolve('userRepository').labels, undefined);
+  });
+
+  it('should describe the effective chain', () => {
+    container.value('env', 'test');
+    container.decorateAll({ tags: ['repository'] }, label('timing'), { priority: 10 });
+    container.register(UserRepository)
+      .withTag('repository')
+      .decorateWith(['cacheDecorator'], { when: ({env}) => env === 'production' })
+      .decorate(instance => instance)
+      .intercept(({proceed}) => proceed())
+      .asSingleton();
+
+    assert.deepStrictEqual(container.describe('userRepository'), {
+      name: 'userRepository',
+      lifecycle: 'singleton',
+      tags: ['repository'],
+      dependencies: [],
+      decorators: [
+        { name: 'timing', type: 'function', source: 'global', priority: 10, active: true },
+        { name: 'cacheDecorator', type: 'service', source: 'service', priority: 0, active: false },
+        { name: 'custom#0', type: 'function', source: 'service', priority: 0, active: true }
+      ],
+      interceptors: 1,
+      inherited: false
+    });
+  });
+
+  it('should describe inherited services and reject unknown ones', () => {
+    container.register(UserRepository).asSingleton();
+    const child = container.createChild();
+
+    assert.strictEqual(child.describe('userRepository').inherited, true);
+    assert.throws(() => child.describe('missing'), /Service 'missing' not found/);
+  });
+
+  it('should name the decorator whose condition failed', () => {
+    container.register(UserRepository)
+      .decorateWith(['cacheDecorator'], { when: ({flags}) => flags.cache })
+      .asSingleton();
+
+    assert.throws(
+      () => container.resolve('userRepository'),
+      /Failed to evaluate the condition of decorator 'cacheDecorator' on service 'userRepository': Service 'flags' not found/
+    );
+  });
+
+  it('should reject invalid options', () => {
+    assert.throws(() => container.register(UserRepository).decorate(label('x'), { priority: NaN }), /Decorator priority must be a finite number/);
+    assert.throws(() => container.register(UserRepository).decorateWith('cacheDecorator', { when: true }), /Decorator condition must be a function/);
+  });
+
+});
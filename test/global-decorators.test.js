@@ -0,0 +1,142 @@
+/**
+ * Global decorator tests
+ * Decorators applied by tag or predicate with decorateAll()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Global Decorators', () => {
+
+  let container;
+
+  const label = (text) => {
+    const decorator = (instance) => Object.assign(instance, { labels: (instance.labels || []).concat(text) });
+    Object.defineProperty(decorator, 'name', { value: text });
+    return decorator;
+  };
+
+  class UserRepository {
+    find() {
+      return 'user';
+    }
+  }
+
+  class AuditRepository {
+    find() {
+      return 'audit';
+    }
+  }
+
+  class TimingDecorator {
+    decorate(instance) {
+      return Object.assign(instance, { timed: true });
+    }
+  }
+
+  beforeEach(() => {
+    container = createContainer({ autoBinding: false });
+    container.register(TimingDecorator).asSingleton();
+  });
+
+  it('should decorate services with the tag', () => {
+    container.decorateAll({ tags: ['repository'] }, ['timingDecorator']);
+    container.register(UserRepository).withTag('repository').asSingleton();
+    container.factory('mailer', () => ({ send() {} })).asSingleton();
+
+    assert.strictEqual(container.resolve('userRepository').timed, true);
+    assert.strictEqual(container.resolve('userRepository').find(), 'user');
+    assert.strictEqual(container.resolve('mailer').timed, undefined);
+  });
+
+  it('should match tags with AND or OR', () => {
+    container.decorateAll({ tags: ['repository', 'sql'] }, label('and'));
+    container.decorateAll({ tags: ['repository', 'sql'], mode: 'OR' }, label('or'));
+    container.register(UserRepository).withTags('repository', 'sql').asSingleton();
+    container.register(AuditRepository).withTag('repository').asSingleton();
+
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['and', 'or']);
+    assert.deepStrictEqual(container.resolve('auditRepository').labels, ['or']);
+  });
+
+  it('should decorate services matching a predicate', () => {
+    container.decorateAll(service => service.name.endsWith('Repository'), label('repository'));
+    container.register(UserRepository).asSingleton();
+    container.factory('mailer', () => ({})).asSingleton();
+
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['repository']);
+    assert.strictEqual(container.resolve('mailer').labels, undefined);
+  });
+
+  it('should wrap the service decorators', () => {
+    container.decorateAll({ tags: ['repository'] }, [label('global')]);
+    container.register(UserRepository).withTag('repository').decorate(label('own')).asSingleton();
+
+    assert.deepStrictEqual(container.resolve('userRepository').labels, ['own', 'global']);
+  });
+
+  it('should apply higher priorities first', () => {
+    container
+      .decorateAll({ tags: ['repository'] }, label('default'))
+      .decorateAll({ tags: ['repository'] }, label('late'), { priority: -1 })
+      .decorateAll({ tags: ['repository'] }, [label('first'), label('second')], { priority: 10 })
+      .decorateAll({ tags: ['repository'] }, label('default-2'));
+    container.register(UserRepository).withTag('repository').asSingleton();
+
+    assert.deepStrictEqual(
+      container.resolve('userRepository').labels,
+      ['first', 'second', 'default', 'default-2', 'late']
+    );
+  });
+
+  it('should leave excluded services alone', () => {
+    container.decorateAll({ tags: ['repository'] }, ['timingDecorator'], { exclude: ['auditRepository'] });
+    container.register(UserRepository).withTag('repository').asSingleton();
+    container.register(AuditRepository).withTag('repository').asSingleton();
+
+    assert.strictEqual(container.resolve('userRepository').timed, true);
+    assert.strictEqual(container.resolve('auditRepository').timed, undefined);
+  });
+
+  it('should not decorate its own decorator services', () => {
+    container.decorateAll(() => true, ['timingDecorator']);
+    container.register(UserRepository).asSingleton();
+
+    assert.strictEqual(container.resolve('userRepository').timed, true);
+    assert.ok(container.resolve('timingDecorator') instanceof TimingDecorator);
+  });
+
+  it('should settle decorator services for async resolution', async () => {
+    container.decorateAll({ tags: ['repository'] }, ['timingDecorator']);
+    container.factory('userRepository', async () => ({ find: () => 'user' })).withTag('repository').asSingleton();
+
+    const repository = await container.resolveAsync('userRepository');
+    assert.strictEqual(repository.timed, true);
+  });
+
+  it('should apply parent rules in child containers', () => {
+    container.decorateAll({ tags: ['repository'] }, label('parent'));
+    const child = container.createChild();
+    child.decorateAll({ tags: ['repository'] }, label('child'));
+    child.register(UserRepository).withTag('repository').asSingleton();
+
+    assert.deepStrictEqual(child.resolve('userRepository').labels, ['parent', 'child']);
+  });
+
+  it('should report unknown decorators and list them in the graph', () => {
+    container.decorateAll({ tags: ['repository'] }, ['cacheDecorator', label('audit')]);
+    container.register(UserRepository).withTag('repository').asSingleton();
+
+    assert.deepStrictEqual(container.validate().unknownDecorators, [{ service: 'userRepository', decorator: 'cacheDecorator' }]);
+    const node = container.toGraph().nodes.find(node => node.name === 'userRepository');
+    assert.deepStrictEqual(node.decorators, ['cacheDecorator', 'audit']);
+  });
+
+  it('should reject invalid rules', () => {
+    assert.throws(() => container.decorateAll({ tags: [] }, label('x')), /selector must be a predicate or \{ tags: \[\.\.\.\] \}/);
+    assert.throws(() => container.decorateAll({ tags: ['a'], mode: 'XOR' }, label('x')), /Mode must be 'AND' or 'OR'/);
+    assert.throws(() => container.decorateAll(() => true, [42]), /Decorators must be service names \(strings\) or functions/);
+    assert.throws(() => container.decorateAll(() => true, label('x'), { priority: 'high' }), /Decorator priority must be a finite number/);
+  });
+
+});
@@ -0,0 +1,141 @@
+/**
+ * Dependency graph export tests
+ * container.toGraph() in DOT, Mermaid and JSON formats
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Dependency Graph', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+
+    class UserRepository {
+      constructor({database}) {
+        this.database = database;
+      }
+    }
+    class UserService {
+      constructor({userRepository, mailer}) {
+        this.userRepository = userRepository;
+        this.mailer = mailer;
+      }
+    }
+
+    container.value('loggingDecorator', { decorate: (instance) => instance });
+    container.factory('database', () => ({})).withTag('infrastructure').asSingleton();
+    container.register(UserRepository).withTag('repository').asSingleton();
+    container.register(UserService)
+      .withTags('service', 'api')
+      .decorateWith(['loggingDecorator'])
+      .asTransient();
+  });
+
+  it('should describe nodes and edges as JSON by default', () => {
+    const graph = container.toGraph();
+
+    assert.deepStrictEqual(graph.nodes.find(node => node.name === 'userService'), {
+      name: 'userService',
+      lifecycle: 'transient',
+      tags: ['service', 'api'],
+      decorators: ['loggingDecorator']
+    });
+    assert.deepStrictEqual(
+      graph.edges.map(({from, to}) => `${from} → ${to}`),
+      ['userRepository → database', 'userService → userRepository', 'userService → mailer']
+    );
+    assert.deepStrictEqual(graph.cycles, []);
+  });
+
+  it('should add unregistered dependencies as missing nodes', () => {
+    const mailer = container.toGraph().nodes.find(node => node.name === 'mailer');
+    assert.strictEqual(mailer.missing, true);
+    assert.strictEqual(mailer.lifecycle, null);
+  });
+
+  it('should record dependencies observed during resolution', () => {
+    container.factory('notifier', (deps) => ({
+      notify: () => deps.database
+    })).asSingleton();
+
+    let edge = container.toGraph().edges.find(e => e.from === 'notifier');
+    assert.strictEqual(edge, undefined);
+
+    container.resolve('notifier').notify();
+
+    edge = container.toGraph().edges.find(e => e.from === 'notifier');
+    assert.deepStrictEqual(edge, { from: 'notifier', to: 'database', observed: true, cycle: false });
+  });
+
+  it('should flag cycle edges', () => {
+    container.factory('a', ({b}) => b).asTransient();
+    container.factory('b', ({a}) => a).asTransient();
+
+    const graph = container.toGraph();
+    assert.deepStrictEqual(graph.cycles, [['a', 'b', 'a']]);
+    assert.deepStrictEqual(
+      graph.edges.filter(edge => edge.cycle).map(({from, to}) => `${from} → ${to}`),
+      ['a → b', 'b → a']
+    );
+  });
+
+  it('should filter nodes by tags', () => {
+    const graph = container.toGraph({ tags: ['repository', 'service'], mode: 'OR' });
+
+    assert.deepStrictEqual(graph.nodes.map(node => node.name), ['userRepository', 'userService', 'mailer']);
+    assert.deepStrictEqual(
+      graph.edges.map(({from, to}) => `${from} → ${to}`),
+      ['userService → userRepository', 'userService → mailer']
+    );
+  });
+
+  it('should render Graphviz DOT', () => {
+    container.factory('a', ({a}) => a).asTransient();
+    const dot = container.toGraph({ format: 'dot' });
+
+    assert.match(dot, /^digraph SDI \{/);
+    assert.match(dot, /"userService" \[label="userService\\ntransient\\n#service #api\\n@loggingDecorator"\];/);
+    assert.match(dot, /"mailer" \[label="mailer\\n\(missing\)", style=dashed\];/);
+    assert.match(dot, /"userService" -> "userRepository";/);
+    assert.match(dot, /"a" -> "a" \[color=red, penwidth=2\];/);
+    assert.match(dot, /\}$/);
+  });
+
+  it('should render Mermaid', () => {
+    container.factory('a', ({a}) => a).asTransient();
+    const mermaid = container.toGraph({ format: 'mermaid' });
+    const lines = mermaid.split('\n');
+
+    assert.strictEqual(lines[0], 'graph LR');
+    assert.ok(lines.includes('  n3["userService<br/>transient<br/>#service #api<br/>@loggingDecorator"]'));
+    assert.ok(lines.includes('  n5(["mailer<br/>(missing)"])'));
+    assert.ok(lines.includes('  n3 --> n2'));
+    assert.ok(lines.includes('  n4 --> n4'));
+    assert.ok(lines.includes('  linkStyle 3 stroke:#d33,stroke-width:2px'));
+  });
+
+  it('should give Mermaid nodes distinct IDs', () => {
+    const graph = createContainer();
+    graph.factory('user-repo', () => ({})).asSingleton();
+    graph.factory('user_repo', () => ({})).asSingleton();
+    graph.value(Symbol('user repo'), {});
+    graph.factory('users', (deps) => deps['user-repo']).dependsOn('user-repo').asSingleton();
+
+    const lines = graph.toGraph({ format: 'mermaid' }).split('\n');
+    assert.deepStrictEqual(lines.slice(1), [
+      '  n0["user-repo<br/>singleton"]',
+      '  n1["user_repo<br/>singleton"]',
+      '  n2["Symbol(user repo)<br/>value"]',
+      '  n3["users<br/>singleton"]',
+      '  n3 --> n0'
+    ]);
+  });
+
+  it('should reject unknown formats', () => {
+    assert.throws(() => container.toGraph({ format: 'svg' }), /Graph format must be/);
+  });
+
+});
@@ -0,0 +1,181 @@
+/**
+ * Interceptor tests
+ * Method calls wrapped by interceptors added with intercept()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Method Interceptors', () => {
+
+  let container;
+  let calls;
+
+  class UserRepository {
+    #rows = new Map();
+
+    constructor() {
+      this.table = 'users';
+    }
+
+    save(user) {
+      this.#rows.set(user.id, user);
+      return user.id;
+    }
+
+    async findById(id) {
+      return this.#rows.get(id);
+    }
+
+    findAll() {
+      return Array.from(this.#rows.values());
+    }
+
+    count() {
+      return this.#rows.size;
+    }
+  }
+
+  const record = (label) => ({method, proceed}) => {
+    calls.push(`${label}:${method}`);
+    return proceed();
+  };
+
+  beforeEach(() => {
+    container = createContainer();
+    calls = [];
+  });
+
+  it('should intercept sync and async methods', async () => {
+    container.register(UserRepository).intercept(record('log')).asSingleton();
+    const users = container.resolve('userRepository');
+
+    assert.strictEqual(users.save({ id: 1, name: 'ada' }), 1);
+    assert.deepStrictEqual(await users.findById(1), { id: 1, name: 'ada' });
+    assert.deepStrictEqual(calls, ['log:save', 'log:findById']);
+  });
+
+  it('should let async interceptors act on settled results', async () => {
+    container.register(UserRepository)
+      .intercept(async ({proceed}) => ({ found: await proceed() }), { methods: ['findById'] })
+      .asSingleton();
+    const users = container.resolve('userRepository');
+    users.save({ id: 1 });
+
+    assert.deepStrictEqual(await users.findById(1), { found: { id: 1 } });
+  });
+
+  it('should only intercept the listed methods', () => {
+    container.register(UserRepository)
+      .intercept(record('log'), { methods: ['save', /^find/] })
+      .asSingleton();
+    const users = container.resolve('userRepository');
+
+    users.save({ id: 1 });
+    users.findAll();
+    users.count();
+    assert.deepStrictEqual(calls, ['log:save', 'log:findAll']);
+  });
+
+  it('should match global and sticky patterns on every call', async () => {
+    container.register(UserRepository)
+      .intercept(record('log'), { methods: [/find/g, /^s/y] })
+      .asTransient();
+    const users = container.resolve('userRepository');
+
+    users.findAll();
+    await users.findById(1);
+    users.save({ id: 1 });
+    container.resolve('userRepository').save({ id: 2 });
+    assert.deepStrictEqual(calls, ['log:findAll', 'log:findById', 'log:save', 'log:save']);
+  });
+
+  it('should run interceptors in the order they were added', () => {
+    container.register(UserRepository)
+      .intercept(record('outer'))
+      .intercept(record('inner'))
+      .asSingleton();
+
+    container.resolve('userRepository').count();
+    assert.deepStrictEqual(calls, ['outer:count', 'inner:count']);
+  });
+
+  it('should pass the call context and accept replacement arguments', () => {
+    const seen = [];
+    container.register(UserRepository)
+      .intercept(({service, method, args, instance, proceed}) => {
+        seen.push([service, method, args, instance.table]);
+        return proceed([{ ...args[0], id: args[0].id * 10 }]);
+      }, { methods: ['save'] })
+      .asSingleton();
+
+    assert.strictEqual(container.resolve('userRepository').save({ id: 4 }), 40);
+    assert.deepStrictEqual(seen, [['userRepository', 'save', [{ id: 4 }], 'users']]);
+  });
+
+  it('should allow short-circuiting and error handling', () => {
+    container.factory('payments', () => ({
+      charge: () => { throw new Error('declined'); },
+      refund: () => 'refunded'
+    }))
+      .intercept(() => 'blocked', { methods: ['refund'] })
+      .intercept(({proceed}) => {
+        try {
+          return proceed();
+        } catch (error) {
+          return `failed: ${error.message}`;
+        }
+      })
+      .asSingleton();
+    const payments = container.resolve('payments');
+
+    assert.strictEqual(payments.charge(), 'failed: declined');
+    assert.strictEqual(payments.refund(), 'blocked');
+  });
+
+  it('should preserve properties and the prototype', () => {
+    container.register(UserRepository).intercept(record('log')).asSingleton();
+    const users = container.resolve('userRepository');
+
+    assert.strictEqual(users.table, 'users');
+    assert.ok(users instanceof UserRepository);
+    assert.strictEqual(users.save, users.save);
+    assert.deepStrictEqual(calls, []);
+  });
+
+  it('should wrap the decorated instance', () => {
+    container.register(UserRepository)
+      .decorate(instance => Object.assign(instance, { audit: () => 'audited' }))
+      .intercept(record('log'))
+      .asSingleton();
+
+    assert.strictEqual(container.resolve('userRepository').audit(), 'audited');
+    assert.deepStrictEqual(calls, ['log:audit']);
+  });
+
+  it('should intercept every transient instance', async () => {
+    container.register(UserRepository).intercept(record('log')).asTransient();
+
+    container.resolve('userRepository').count();
+    (await container.resolveAsync('userRepository')).count();
+    assert.deepStrictEqual(calls, ['log:count', 'log:count']);
+  });
+
+  it('should reject services that are not objects', () => {
+    container.register('postgres://localhost', 'databaseUrl').intercept(record('log')).asValue();
+
+    assert.throws(
+      () => container.resolve('databaseUrl'),
+      /Cannot intercept methods of service 'databaseUrl': its instance is a string, not an object/
+    );
+  });
+
+  it('should reject invalid interceptors', () => {
+    assert.throws(() => container.register(UserRepository).intercept('log'), /Interceptor must be a function/);
+    assert.throws(
+      () => container.register(UserRepository).intercept(record('log'), { methods: 'save' }),
+      /Interceptor methods must be an array of method names or regular expressions/
+    );
+  });
+
+});
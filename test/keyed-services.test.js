@@ -0,0 +1,191 @@
+/**
+ * Keyed service tests
+ * Registrations resolved by name plus key with withKey() and resolveKeyed()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+let created = 0;
+
+class S3Client {
+  constructor({config}) {
+    this.id = ++created;
+    this.config = config;
+  }
+}
+
+describe('Keyed Services', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+    container.value('config', { bucket: 'backups' });
+    created = 0;
+  });
+
+  it('should resolve registrations by name plus key', () => {
+    container.factory('storage', () => 'eu-west').withKey('eu-west').asSingleton();
+    container.factory('storage', () => 'us-east').withKey('us-east').asSingleton();
+
+    assert.strictEqual(container.resolveKeyed('storage', 'eu-west'), 'eu-west');
+    assert.strictEqual(container.resolveKeyed('storage', 'us-east'), 'us-east');
+  });
+
+  it('should cache singletons per key', () => {
+    container.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+    container.register(S3Client, 'storage').withKey('us-east').asSingleton();
+
+    const eu = container.resolveKeyed('storage', 'eu-west');
+    assert.strictEqual(container.resolveKeyed('storage', 'eu-west'), eu);
+    assert.notStrictEqual(container.resolveKeyed('storage', 'us-east'), eu);
+    assert.strictEqual(created, 2);
+  });
+
+  it('should cache scoped instances per key', () => {
+    container.register(S3Client, 'storage').withKey('eu-west').asScoped();
+    container.register(S3Client, 'storage').withKey('us-east').asScoped();
+    const scope = container.createScope('request');
+
+    const eu = container.resolveKeyed('storage', 'eu-west', scope);
+    assert.strictEqual(container.resolveKeyed('storage', 'eu-west', 'request'), eu);
+    assert.notStrictEqual(container.resolveKeyed('storage', 'us-east', scope), eu);
+    assert.strictEqual(scope.getInstances().size, 2);
+  });
+
+  it('should accept any primitive key without mixing types', () => {
+    container.factory('shard', () => 'number').withKey(1).asSingleton();
+    container.factory('shard', () => 'string').withKey('1').asSingleton();
+    container.factory('shard', () => 'boolean').withKey(true).asSingleton();
+    container.factory('shard', () => 'null').withKey(null).asSingleton();
+
+    assert.strictEqual(container.resolveKeyed('shard', 1), 'number');
+    assert.strictEqual(container.resolveKeyed('shard', '1'), 'string');
+    assert.strictEqual(container.resolveKeyed('shard', true), 'boolean');
+    assert.strictEqual(container.resolveKeyed('shard', null), 'null');
+  });
+
+  it('should keep symbol keys with the same description apart', () => {
+    const first = Symbol('eu');
+    const second = Symbol('eu');
+    container.factory('region', () => ({ name: 'one' })).withKey(first).asSingleton();
+    container.factory('region', () => ({ name: 'two' })).withKey(second).asSingleton();
+
+    assert.strictEqual(container.resolveKeyed('region', first).name, 'one');
+    assert.strictEqual(container.resolveKeyed('region', second).name, 'two');
+    assert.strictEqual(container._instances.size, 2);
+  });
+
+  it('should replace the cached instance when a key is overridden', () => {
+    container.factory('region', () => 'old').withKey('eu').asSingleton();
+    assert.strictEqual(container.resolveKeyed('region', 'eu'), 'old');
+
+    container.factory('region', () => 'new').withKey('eu').override().asSingleton();
+    assert.strictEqual(container.resolveKeyed('region', 'eu'), 'new');
+  });
+
+  it('should reject non-primitive keys', () => {
+    assert.throws(() => container.register(S3Client, 'storage').withKey({ region: 'eu' }), /Service keys must be primitives/);
+    assert.throws(() => container.register(S3Client, 'storage').withKey(), /Service keys must be primitives/);
+    assert.throws(() => container.resolveKeyed('storage', ['eu']), /Service keys must be primitives/);
+  });
+
+  it('should keep keyed registrations separate from the plain one', () => {
+    container.factory('storage', () => 'default').asSingleton();
+    container.factory('storage', () => 'eu-west').withKey('eu-west').asSingleton();
+
+    assert.strictEqual(container.resolve('storage'), 'default');
+    assert.strictEqual(container.resolveKeyed('storage', 'eu-west'), 'eu-west');
+  });
+
+  it('should report unknown keys', () => {
+    container.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+
+    assert.throws(() => container.resolveKeyed('storage', 'ap-south'), /Service storage\["ap-south"\] not found/);
+    assert.throws(() => container.resolve('storage'), /Service 'storage' not found/);
+  });
+
+  it('should inject keyed dependencies through the destructuring proxy', () => {
+    class BackupJob {
+      constructor({storage, config}) {
+        this.storage = storage;
+        this.config = config;
+      }
+    }
+
+    container.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+    container.register(BackupJob).withKeyed({ storage: 'eu-west' }).asTransient();
+
+    const job = container.resolve('backupJob');
+    assert.strictEqual(job.storage, container.resolveKeyed('storage', 'eu-west'));
+    assert.strictEqual(job.config.bucket, 'backups');
+  });
+
+  it('should inject keyed dependencies during async resolution', async () => {
+    container.factory('storage', async () => ({ region: 'eu-west' })).withKey('eu-west').asSingleton();
+    container.factory('backupJob', async ({storage}) => ({ storage }))
+      .withKeyed({ storage: 'eu-west' })
+      .asSingleton();
+
+    const job = await container.resolveAsync('backupJob');
+    assert.deepStrictEqual(job.storage, { region: 'eu-west' });
+  });
+
+  it('should show keys in tag searches', () => {
+    container.register(S3Client, 'storage').withKey('eu-west').withTag('storage').asSingleton();
+    container.register(S3Client, 'storage').withKey('us-east').withTag('storage').asSingleton();
+
+    assert.deepStrictEqual(
+      container.getServicesByTags(['storage']).map(({name, key}) => ({ name, key })),
+      [{ name: 'storage', key: 'eu-west' }, { name: 'storage', key: 'us-east' }]
+    );
+    assert.deepStrictEqual(
+      container.resolveServicesByTags(['storage']).map(result => result.instance.id),
+      [1, 2]
+    );
+  });
+
+  it('should fall back to parent containers', () => {
+    container.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+    const child = container.createChild();
+
+    assert.strictEqual(child.resolveKeyed('storage', 'eu-west'), container.resolveKeyed('storage', 'eu-west'));
+  });
+
+  it('should enforce strict mode per key', () => {
+    const strict = createContainer({ strictMode: true });
+    strict.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+
+    assert.doesNotThrow(() => strict.register(S3Client, 'storage').withKey('us-east').asSingleton());
+    assert.throws(
+      () => strict.register(S3Client, 'storage').withKey('eu-west').asSingleton(),
+      /Service 'storage\["eu-west"\]' is already registered/
+    );
+  });
+
+  it('should count every key against maxServices', () => {
+    const limited = createContainer({ maxServices: 3 });
+    limited.value('config', {});
+    limited.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+    limited.register(S3Client, 'storage').withKey('us-east').asSingleton();
+
+    assert.throws(
+      () => limited.register(S3Client, 'storage').withKey('ap-south').asSingleton(),
+      /Memory limit exceeded for services. Max: 3/
+    );
+  });
+
+  it('should be validated and unregistered with the name', () => {
+    container.register(S3Client, 'storage').withKey('eu-west').asSingleton();
+    container.factory('backupJob', ({storage}) => storage).withKeyed({ storage: 'us-east' }).asSingleton();
+
+    assert.deepStrictEqual(container.validate().missing, [{ service: 'backupJob', dependency: 'storage' }]);
+
+    container.resolveKeyed('storage', 'eu-west');
+    container.unregister('storage');
+    assert.throws(() => container.resolveKeyed('storage', 'eu-west'), /not found/);
+    assert.strictEqual(container._instances.size, 0);
+  });
+
+});
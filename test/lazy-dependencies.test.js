@@ -0,0 +1,130 @@
+/**
+ * Lazy dependency tests
+ * Dependencies injected as proxies and resolved on first use
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Lazy Dependencies', () => {
+
+  let container;
+  let created;
+
+  class ReportService {
+    #prefix = 'report';
+
+    constructor({}) {
+      created.push('reportService');
+      this.format = 'pdf';
+    }
+
+    generate(name) {
+      return `${this.#prefix}:${name}.${this.format}`;
+    }
+  }
+
+  class UserService {
+    constructor({reportService}) {
+      created.push('userService');
+      this.reportService = reportService;
+    }
+  }
+
+  beforeEach(() => {
+    container = createContainer();
+    created = [];
+  });
+
+  it('should defer resolution until first property access', () => {
+    container.register(UserService).withLazy(['reportService']).asSingleton();
+    container.singleton(ReportService);
+
+    const service = container.resolve('userService');
+    assert.deepStrictEqual(created, ['userService']);
+
+    assert.strictEqual(service.reportService.generate('users'), 'report:users.pdf');
+    assert.deepStrictEqual(created, ['userService', 'reportService']);
+  });
+
+  it('should behave like the resolved instance', () => {
+    container.register(UserService).withLazy('reportService').asSingleton();
+    container.singleton(ReportService);
+
+    const lazy = container.resolve('userService').reportService;
+    assert.ok(lazy instanceof ReportService);
+    assert.ok('format' in lazy);
+    assert.deepStrictEqual(Object.keys(lazy), ['format']);
+    assert.strictEqual(lazy.generate, lazy.generate);
+
+    lazy.format = 'csv';
+    assert.strictEqual(container.resolve('reportService').format, 'csv');
+  });
+
+  it('should resolve only once', () => {
+    container.register(UserService).withLazy(['reportService']).asSingleton();
+    container.transient(ReportService);
+
+    const lazy = container.resolve('userService').reportService;
+    lazy.generate('a');
+    lazy.generate('b');
+    assert.deepStrictEqual(created, ['userService', 'reportService']);
+  });
+
+  it('should break construction-time cycles', () => {
+    class Notifier {
+      constructor({mailer}) {
+        this.mailer = mailer;
+      }
+    }
+    class Mailer {
+      constructor({notifier}) {
+        this.notifier = notifier;
+      }
+    }
+
+    container.register(Notifier).withLazy(['mailer']).asSingleton();
+    container.singleton(Mailer);
+
+    const notifier = container.resolve('notifier');
+    assert.strictEqual(notifier.mailer.notifier, notifier);
+    assert.deepStrictEqual(container.validate().cycles, []);
+  });
+
+  it('should resolve in the scope active at injection time', () => {
+    let sessions = 0;
+    container.factory('session', () => ({ id: ++sessions })).asScoped();
+    container.factory('handler', ({session}) => ({ session }))
+      .withLazy(['session'])
+      .asTransient();
+
+    const request = container.createScope('request');
+    const other = container.createScope('other');
+    other.resolve('session');
+
+    const handler = request.resolve('handler');
+    const id = container.runInScope(other, () => handler.session.id);
+
+    assert.strictEqual(id, request.resolve('session').id);
+    assert.notStrictEqual(id, other.resolve('session').id);
+  });
+
+  it('should surface resolution errors on first access', () => {
+    container.register(UserService).withLazy(['reportService']).asSingleton();
+
+    const service = container.resolve('userService');
+    assert.throws(() => service.reportService.generate('users'), /Service 'reportService' not found/);
+  });
+
+  it('should inject lazy proxies during async resolution', async () => {
+    container.factory('reportService', () => new ReportService({})).asSingleton();
+    container.factory('userService', async ({reportService}) => ({ reportService }))
+      .withLazy(['reportService'])
+      .asSingleton();
+
+    const service = await container.resolveAsync('userService');
+    assert.deepStrictEqual(created, []);
+    assert.strictEqual(service.reportService.format, 'pdf');
+  });
+
+});
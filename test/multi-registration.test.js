@@ -0,0 +1,166 @@
+/**
+ * Multi-registration tests
+ * Several implementations under one name with asMany() and resolveMany()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+class StripeProvider {
+  constructor({}) {
+    this.id = 'stripe';
+  }
+}
+
+class PaypalProvider {
+  constructor({}) {
+    this.id = 'paypal';
+  }
+}
+
+class AdyenProvider {
+  constructor({}) {
+    this.id = 'adyen';
+  }
+}
+
+describe('Multi-Registration', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+  });
+
+  it('should resolve every implementation in registration order', () => {
+    container.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(AdyenProvider, 'paymentProvider').asMany().asSingleton();
+
+    assert.deepStrictEqual(
+      container.resolveMany('paymentProvider').map(provider => provider.id),
+      ['stripe', 'paypal', 'adyen']
+    );
+  });
+
+  it('should resolve the last implementation by name', () => {
+    container.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+
+    const primary = container.resolve('paymentProvider');
+    assert.strictEqual(primary.id, 'paypal');
+    assert.strictEqual(container.resolveMany('paymentProvider')[1], primary);
+
+    container.factory('checkout', ({paymentProvider}) => ({ paymentProvider })).asTransient();
+    assert.strictEqual(container.resolve('checkout').paymentProvider, primary);
+  });
+
+  it('should keep each lifecycle separately', () => {
+    container.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().asTransient();
+    container.register(AdyenProvider, 'paymentProvider').asMany().asScoped();
+
+    const scope = container.createScope('request');
+    const [stripe1, paypal1, adyen1] = container.resolveMany('paymentProvider', scope);
+    const [stripe2, paypal2, adyen2] = container.resolveMany('paymentProvider', 'request');
+
+    assert.strictEqual(stripe1, stripe2);
+    assert.notStrictEqual(paypal1, paypal2);
+    assert.strictEqual(adyen1, adyen2);
+    assert.strictEqual(scope.getInstances().size, 1);
+  });
+
+  it('should keep tags and decorators per implementation', () => {
+    container.register(StripeProvider, 'paymentProvider')
+      .asMany()
+      .withTag('card')
+      .decorate((instance) => ({ id: instance.id, audited: true }))
+      .asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().withTag('wallet').asSingleton();
+
+    const [stripe, paypal] = container.resolveMany('paymentProvider');
+    assert.strictEqual(stripe.audited, true);
+    assert.strictEqual(paypal.audited, undefined);
+
+    const wallets = container.resolveServicesByTags(['wallet']);
+    assert.deepStrictEqual(wallets.map(result => result.instance.id), ['paypal']);
+    assert.deepStrictEqual(container.getAllTags(), ['card', 'wallet']);
+  });
+
+  it('should append to an existing registration', () => {
+    container.register(StripeProvider, 'paymentProvider').asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+
+    assert.deepStrictEqual(
+      container.resolveMany('paymentProvider').map(provider => provider.id),
+      ['stripe', 'paypal']
+    );
+  });
+
+  it('should replace every implementation when registered without asMany()', () => {
+    container.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(AdyenProvider, 'paymentProvider').asSingleton();
+
+    assert.deepStrictEqual(container.resolveMany('paymentProvider').map(provider => provider.id), ['adyen']);
+  });
+
+  it('should allow appending in strict mode', () => {
+    const strict = createContainer({ strictMode: true });
+    strict.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+
+    assert.doesNotThrow(() => strict.register(PaypalProvider, 'paymentProvider').asMany().asSingleton());
+    assert.throws(() => strict.register(AdyenProvider, 'paymentProvider').asSingleton(), /already registered/);
+  });
+
+  it('should return a single-element array for names registered once', () => {
+    container.value('config', { region: 'eu' });
+    assert.deepStrictEqual(container.resolveMany('config'), [{ region: 'eu' }]);
+  });
+
+  it('should return an empty array for unknown names', () => {
+    assert.deepStrictEqual(container.resolveMany('smsProvider'), []);
+  });
+
+  it('should fall back to parent containers', () => {
+    container.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+    const child = container.createChild();
+
+    assert.deepStrictEqual(child.resolveMany('paymentProvider'), container.resolveMany('paymentProvider'));
+  });
+
+  it('should unregister every implementation', () => {
+    container.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+    container.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+    container.resolveMany('paymentProvider');
+
+    container.unregister('paymentProvider');
+    assert.deepStrictEqual(container.resolveMany('paymentProvider'), []);
+    assert.strictEqual(container._instances.size, 0);
+  });
+
+  it('should count every implementation against maxServices', () => {
+    const limited = createContainer({ maxServices: 3 });
+    limited.register(StripeProvider, 'paymentProvider').asMany().asSingleton();
+    limited.register(PaypalProvider, 'paymentProvider').asMany().asSingleton();
+    limited.register(AdyenProvider, 'paymentProvider').asMany().asSingleton();
+
+    assert.throws(
+      () => limited.register(StripeProvider, 'paymentProvider').asMany().asSingleton(),
+      /Memory limit exceeded for services. Max: 3/
+    );
+    assert.strictEqual(limited.resolveMany('paymentProvider').length, 3);
+  });
+
+  it('should dispose every singleton implementation', async () => {
+    const disposed = [];
+    container.factory('paymentProvider', () => ({ dispose: () => disposed.push('stripe') })).asMany().asSingleton();
+    container.factory('paymentProvider', () => ({ dispose: () => disposed.push('paypal') })).asMany().asSingleton();
+    container.resolveMany('paymentProvider');
+
+    await container.dispose();
+    assert.deepStrictEqual(disposed, ['paypal', 'stripe']);
+  });
+
+});
@@ -0,0 +1,135 @@
+/**
+ * Nested scope tests
+ * Child scopes created with createChild() and services scoped to a level
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Nested Scopes', () => {
+
+  let container;
+  let sequence;
+  let disposed;
+
+  const tracked = (label) => () => ({ id: ++sequence, dispose: () => disposed.push(label) });
+
+  beforeEach(() => {
+    container = createContainer();
+    sequence = 0;
+    disposed = [];
+    container.factory('requestContext', tracked('requestContext')).asScoped('request');
+    container.factory('unitOfWork', tracked('unitOfWork')).asScoped('transaction');
+  });
+
+  it('should cache leveled services at the matching ancestor', () => {
+    const request = container.createScope('request');
+    const first = request.createChild('transaction');
+    const second = request.createChild({ level: 'transaction' });
+
+    const context = first.resolve('requestContext');
+    assert.strictEqual(second.resolve('requestContext'), context);
+    assert.strictEqual(request.resolve('requestContext'), context);
+    assert.notStrictEqual(first.resolve('unitOfWork'), second.resolve('unitOfWork'));
+    assert.strictEqual(request.getInstances().size, 1);
+  });
+
+  it('should use the level option instead of the name', () => {
+    const request = container.createScope('request-42', { level: 'request' });
+    const transaction = request.createChild('tx-1', { level: 'transaction' });
+
+    assert.strictEqual(transaction.resolve('requestContext'), request.resolve('requestContext'));
+    assert.strictEqual(transaction.level, 'transaction');
+    assert.strictEqual(transaction.parent, request);
+  });
+
+  it('should fail when no ancestor has the level', () => {
+    const request = container.createScope('request');
+
+    assert.throws(
+      () => request.resolve('unitOfWork'),
+      /Scoped service 'unitOfWork' lives in a 'transaction' scope, but scope 'request' has no such ancestor/
+    );
+  });
+
+  it('should resolve dependencies from the owning scope', () => {
+    container.factory('auditLog', ({requestContext}) => ({ requestContext })).asScoped('request');
+    container.factory('report', ({unitOfWork}) => ({ unitOfWork })).asScoped('request');
+    const request = container.createScope('request');
+    const transaction = request.createChild('transaction');
+
+    assert.strictEqual(transaction.resolve('auditLog').requestContext, request.resolve('requestContext'));
+    assert.throws(() => transaction.resolve('report'), /'unitOfWork' lives in a 'transaction' scope, but scope 'request'/);
+  });
+
+  it('should keep unleveled instances in the resolving scope', () => {
+    container.factory('session', tracked('session')).asScoped();
+
+    const parentFirst = container.createScope('parent-first');
+    const session = parentFirst.resolve('session');
+    const child = parentFirst.createChild('child');
+    assert.notStrictEqual(child.resolve('session'), session);
+    assert.strictEqual(parentFirst.resolve('session'), session);
+
+    const childFirst = container.createScope('child-first');
+    const nested = childFirst.createChild('nested');
+    const nestedSession = nested.resolve('session');
+    assert.notStrictEqual(childFirst.resolve('session'), nestedSession);
+    assert.strictEqual(nested.resolve('session'), nestedSession);
+
+    assert.deepStrictEqual([child, nested].map(scope => scope.getInstances().size), [1, 1]);
+  });
+
+  it('should resolve through the ambient child scope', async () => {
+    const request = container.createScope('request');
+    const transaction = request.createChild('transaction');
+
+    const context = await container.runInScope(transaction, () => container.resolveAsync('requestContext'));
+    assert.strictEqual(context, request.resolve('requestContext'));
+  });
+
+  it('should dispose children before their parent', async () => {
+    const request = container.createScope('request');
+    const transaction = request.createChild('transaction');
+    transaction.resolve('unitOfWork');
+    transaction.resolve('requestContext');
+
+    request.dispose();
+    assert.deepStrictEqual(disposed, ['unitOfWork', 'requestContext']);
+    assert.throws(() => transaction.resolve('unitOfWork'), /Scope 'transaction' has been disposed/);
+    assert.strictEqual(container._scopes.size, 0);
+  });
+
+  it('should dispose children first asynchronously', async () => {
+    const request = container.createScope('request');
+    request.createChild('transaction').resolve('unitOfWork');
+    request.resolve('requestContext');
+
+    await request.disposeAsync();
+    assert.deepStrictEqual(disposed, ['unitOfWork', 'requestContext']);
+  });
+
+  it('should detach disposed children from their parent', () => {
+    const request = container.createScope('request');
+    request.createChild('transaction').resolve('unitOfWork');
+    container.scope('transaction').dispose();
+    assert.strictEqual(request._children.size, 0);
+
+    request.resolve('requestContext');
+    request.dispose();
+    assert.deepStrictEqual(disposed, ['unitOfWork', 'requestContext']);
+  });
+
+  it('should not create children of disposed scopes', () => {
+    const request = container.createScope('request');
+    request.dispose();
+
+    assert.throws(() => request.createChild('transaction'), /Scope 'request' has been disposed/);
+  });
+
+  it('should reject invalid levels', () => {
+    assert.throws(() => container.register(class Cart {}).asScoped(''), /Scope level must be a non-empty string/);
+    assert.throws(() => container.createScope('request', { level: 42 }), /Scope level must be a non-empty string/);
+  });
+
+});
@@ -0,0 +1,87 @@
+/**
+ * Optional dependency tests
+ * Unregistered optional dependencies resolve to undefined so defaults apply
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+class UserService {
+  constructor({logger, metrics = null}) {
+    this.logger = logger;
+    this.metrics = metrics;
+  }
+}
+
+describe('Optional Dependencies', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+    container.value('logger', { name: 'logger' });
+  });
+
+  it('should still throw for missing dependencies by default', () => {
+    container.singleton(UserService);
+    assert.throws(() => container.resolve('userService'), /Service 'metrics' not found/);
+  });
+
+  it('should apply destructuring defaults when an optional dependency is missing', () => {
+    container.register(UserService).withOptional(['metrics']).asSingleton();
+
+    const service = container.resolve('userService');
+    assert.strictEqual(service.metrics, null);
+    assert.strictEqual(service.logger.name, 'logger');
+  });
+
+  it('should inject optional dependencies that are registered', () => {
+    container.value('metrics', { name: 'metrics' });
+    container.register(UserService).withOptional('metrics').asSingleton();
+
+    assert.strictEqual(container.resolve('userService').metrics.name, 'metrics');
+  });
+
+  it('should find optional dependencies in parent containers', () => {
+    container.value('metrics', { name: 'metrics' });
+    const child = container.createChild();
+    child.register(UserService).withOptional(['metrics']).asSingleton();
+
+    assert.strictEqual(child.resolve('userService').metrics.name, 'metrics');
+  });
+
+  it('should propagate errors from registered optional dependencies', () => {
+    container.factory('metrics', () => { throw new Error('statsd unreachable'); }).asSingleton();
+    container.register(UserService).withOptional(['metrics']).asSingleton();
+
+    assert.throws(() => container.resolve('userService'), /statsd unreachable/);
+  });
+
+  it('should keep other dependencies required', () => {
+    const bare = createContainer();
+    bare.register(UserService).withOptional(['metrics']).asSingleton();
+
+    assert.throws(() => bare.resolve('userService'), /Service 'logger' not found/);
+  });
+
+  it('should support async resolution', async () => {
+    container.factory('plugins', async ({metrics}) => ({ metrics }))
+      .withOptional(['metrics'])
+      .asSingleton();
+
+    assert.deepStrictEqual(await container.resolveAsync('plugins'), { metrics: undefined });
+  });
+
+  it('should not report optional dependencies as missing in validate()', () => {
+    container.register(UserService).withOptional(['metrics']).asSingleton();
+
+    const report = container.validate();
+    assert.deepStrictEqual(report.missing, []);
+    assert.strictEqual(report.valid, true);
+  });
+
+  it('should reject invalid names', () => {
+    assert.throws(() => container.register(UserService).withOptional(['']), /Dependency names must be non-empty strings/);
+  });
+
+});
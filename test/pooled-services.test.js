@@ -0,0 +1,271 @@
+/**
+ * Pooled service tests
+ * Reusable instances borrowed with acquire() and handed back with release()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Pooled Services', () => {
+
+  let container;
+  let created;
+  let disposed;
+
+  class ParserWorker {
+    constructor({config}) {
+      this.id = ++created;
+      this.config = config;
+    }
+
+    dispose() {
+      disposed.push(this.id);
+    }
+  }
+
+  beforeEach(() => {
+    container = createContainer();
+    container.value('config', { strict: true });
+    created = 0;
+    disposed = [];
+  });
+
+  it('should create instances with their dependencies', async () => {
+    container.register(ParserWorker).asPooled();
+
+    const { instance } = await container.acquire('parserWorker');
+    assert.ok(instance instanceof ParserWorker);
+    assert.strictEqual(instance.config.strict, true);
+  });
+
+  it('should reuse released instances', async () => {
+    container.register(ParserWorker).asPooled();
+
+    const first = await container.acquire('parserWorker');
+    first.release();
+    const second = await container.acquire('parserWorker');
+
+    assert.strictEqual(second.instance, first.instance);
+    assert.strictEqual(created, 1);
+  });
+
+  it('should create new instances up to max', async () => {
+    container.register(ParserWorker).asPooled({ max: 2 });
+
+    const first = await container.acquire('parserWorker');
+    const second = await container.acquire('parserWorker');
+
+    assert.notStrictEqual(first.instance, second.instance);
+    assert.deepStrictEqual(container.getPoolStats('parserWorker'), {
+      size: 2, available: 0, inUse: 2, waiters: 0, min: 0, max: 2
+    });
+  });
+
+  it('should queue callers until an instance is released', async () => {
+    container.register(ParserWorker).asPooled({ max: 1 });
+
+    const first = await container.acquire('parserWorker');
+    const waiting = container.acquire('parserWorker');
+    assert.strictEqual(container.getPoolStats('parserWorker').waiters, 1);
+
+    first.release();
+    const second = await waiting;
+    assert.strictEqual(second.instance, first.instance);
+    assert.deepStrictEqual(container.getPoolStats('parserWorker'), {
+      size: 1, available: 0, inUse: 1, waiters: 0, min: 0, max: 1
+    });
+  });
+
+  it('should fail with a clear error when exhausted', async () => {
+    container.register(ParserWorker).asPooled({ max: 1, acquireTimeoutMs: 20 });
+    await container.acquire('parserWorker');
+
+    await assert.rejects(
+      container.acquire('parserWorker'),
+      /Pool for 'parserWorker' is exhausted: all 1 instances stayed in use for 20ms/
+    );
+    assert.strictEqual(container.getPoolStats('parserWorker').waiters, 0);
+  });
+
+  it('should ignore repeated releases', async () => {
+    container.register(ParserWorker).asPooled({ max: 2 });
+
+    const lease = await container.acquire('parserWorker');
+    lease.release();
+    lease.release();
+
+    assert.deepStrictEqual(container.getPoolStats('parserWorker'), {
+      size: 1, available: 1, inUse: 0, waiters: 0, min: 0, max: 2
+    });
+  });
+
+  it('should evict idle instances down to min', async () => {
+    container.register(ParserWorker).asPooled({ min: 1, max: 3, idleTimeoutMs: 10 });
+
+    const leases = await Promise.all([1, 2, 3].map(() => container.acquire('parserWorker')));
+    leases.forEach(lease => lease.release());
+    await wait(40);
+
+    assert.strictEqual(container.getPoolStats('parserWorker').size, 1);
+    assert.strictEqual(disposed.length, 2);
+  });
+
+  it('should create min instances on the first acquire', async () => {
+    container.register(ParserWorker).asPooled({ min: 2, max: 3 });
+    assert.strictEqual(container.getPoolStats('parserWorker').size, 0);
+
+    const [first, second] = await Promise.all([container.acquire('parserWorker'), container.acquire('parserWorker')]);
+    assert.notStrictEqual(first.instance, second.instance);
+    assert.deepStrictEqual(container.getPoolStats('parserWorker'), {
+      size: 2, available: 0, inUse: 2, waiters: 0, min: 2, max: 3
+    });
+    assert.strictEqual(created, 2);
+  });
+
+  it('should retry filling the pool after a failed creation', async () => {
+    let failures = 1;
+    container.factory('session', () => {
+      if (failures-- > 0) throw new Error('connection refused');
+      return { id: ++created };
+    }).asPooled({ min: 2 });
+
+    await assert.rejects(container.acquire('session'), /connection refused/);
+    assert.strictEqual(container.getPoolStats('session').available, 1);
+
+    await container.acquire('session');
+    assert.deepStrictEqual(container.getPoolStats('session'), {
+      size: 2, available: 1, inUse: 1, waiters: 0, min: 2, max: 10
+    });
+  });
+
+  it('should dispose pooled instances on unregister(), override() and clear()', async () => {
+    container.register(ParserWorker).asPooled();
+    const idle = await container.acquire('parserWorker');
+    await container.acquire('parserWorker');
+    idle.release();
+
+    container.unregister('parserWorker');
+    assert.deepStrictEqual(disposed, [1, 2]);
+
+    container.register(ParserWorker).asPooled();
+    await container.acquire('parserWorker');
+    container.register(ParserWorker).override().asPooled();
+    assert.deepStrictEqual(disposed, [1, 2, 3]);
+
+    await container.acquire('parserWorker');
+    container.clear();
+    assert.deepStrictEqual(disposed, [1, 2, 3, 4]);
+  });
+
+  it('should report pooled instances that fail to dispose when cleared', async () => {
+    const errors = [];
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    container.hook('disposeError', ({name, error}) => errors.push([name, error.message]));
+    container.factory('session', () => ({ close: () => { throw new Error('socket closed'); } })).asPooled();
+    await container.acquire('session');
+
+    try {
+      container.unregister('session');
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.deepStrictEqual(errors, [['session', 'socket closed']]);
+  });
+
+  it('should release instances acquired in a scope on dispose', async () => {
+    container.register(ParserWorker).asPooled();
+    const scope = container.createScope('request');
+
+    const { instance } = await scope.acquire('parserWorker');
+    assert.strictEqual(container.getPoolStats('parserWorker').inUse, 1);
+
+    scope.dispose();
+    assert.deepStrictEqual(container.getPoolStats('parserWorker'), {
+      size: 1, available: 1, inUse: 0, waiters: 0, min: 0, max: 10
+    });
+    assert.deepStrictEqual(disposed, []);
+    assert.strictEqual((await container.acquire('parserWorker')).instance, instance);
+  });
+
+  it('should release instances acquired in the ambient scope', async () => {
+    container.register(ParserWorker).asPooled();
+
+    await container.withScope(async () => {
+      await container.acquire('parserWorker');
+      assert.strictEqual(container.getPoolStats('parserWorker').inUse, 1);
+    });
+    assert.strictEqual(container.getPoolStats('parserWorker').inUse, 0);
+  });
+
+  it('should not be resolvable or injectable', async () => {
+    container.register(ParserWorker).asPooled();
+    container.factory('importer', ({parserWorker}) => ({ parserWorker })).asTransient();
+
+    assert.throws(() => container.resolve('parserWorker'), /Service 'parserWorker' is pooled. Borrow an instance with acquire\(\)/);
+    assert.throws(() => container.resolve('importer'), /is pooled/);
+    await assert.rejects(container.resolveAsync('parserWorker'), /is pooled/);
+  });
+
+  it('should reject acquire() for other lifecycles', async () => {
+    container.singleton(ParserWorker);
+
+    await assert.rejects(container.acquire('parserWorker'), /Service 'parserWorker' is singleton, not pooled/);
+    await assert.rejects(container.acquire('missing'), /Service 'missing' not found/);
+  });
+
+  it('should validate pool options', () => {
+    assert.throws(() => container.register(ParserWorker).asPooled({ max: 0 }), /Invalid pool options: max must be a positive integer/);
+    assert.throws(() => container.register(ParserWorker).asPooled({ min: 3, max: 2 }), /min must be an integer between 0 and max/);
+    assert.throws(() => container.register(ParserWorker).asPooled({ acquireTimeoutMs: -1 }), /acquireTimeoutMs must be a non-negative number/);
+  });
+
+  it('should create instances from async factories', async () => {
+    let sessions = 0;
+    container.factory('dbSession', async ({config}) => ({ id: ++sessions, config })).asPooled({ max: 2 });
+
+    const { instance } = await container.acquire('dbSession');
+    assert.deepStrictEqual(instance, { id: 1, config: { strict: true } });
+  });
+
+  it('should hand the free slot to a waiter when creation fails', async () => {
+    let attempts = 0;
+    container.factory('dbSession', () => {
+      if (++attempts === 1) throw new Error('connection refused');
+      return { attempt: attempts };
+    }).asPooled({ max: 1 });
+
+    const failing = container.acquire('dbSession');
+    const waiting = container.acquire('dbSession');
+
+    await assert.rejects(failing, /connection refused/);
+    assert.deepStrictEqual((await waiting).instance, { attempt: 2 });
+  });
+
+  it('should dispose pooled instances and fail waiters with the container', async () => {
+    container.register(ParserWorker).asPooled({ max: 2 });
+
+    const first = await container.acquire('parserWorker');
+    await container.acquire('parserWorker');
+    first.release();
+    const waiting = container.acquire('parserWorker');
+    const blocked = container.acquire('parserWorker');
+
+    await waiting;
+    await container.dispose();
+    await assert.rejects(blocked, /Container has been disposed/);
+    assert.deepStrictEqual(disposed.sort(), [1, 2]);
+  });
+
+  it('should acquire from parent containers', async () => {
+    container.register(ParserWorker).asPooled();
+    const child = container.createChild();
+
+    const lease = await child.acquire('parserWorker');
+    assert.strictEqual(container.getPoolStats('parserWorker').inUse, 1);
+    lease.release();
+  });
+
+});
@@ -0,0 +1,146 @@
+/**
+ * Runtime argument tests
+ * Call-site values passed to transient services with resolveWith() and factoryFor()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+class ReportBuilder {
+  constructor({reportId, database}) {
+    this.reportId = reportId;
+    this.database = database;
+  }
+}
+
+describe('Runtime Arguments', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+    container.value('database', { name: 'reports' });
+    container.transient(ReportBuilder);
+  });
+
+  it('should merge arguments with container dependencies', () => {
+    const builder = container.resolveWith('reportBuilder', { reportId: 42 });
+
+    assert.strictEqual(builder.reportId, 42);
+    assert.strictEqual(builder.database.name, 'reports');
+  });
+
+  it('should look up arguments before the container', () => {
+    const database = { name: 'archive' };
+    const builder = container.resolveWith('reportBuilder', { reportId: 1, database });
+
+    assert.strictEqual(builder.database, database);
+  });
+
+  it('should accept falsy argument values', () => {
+    const builder = container.resolveWith('reportBuilder', { reportId: 0, database: null });
+
+    assert.strictEqual(builder.reportId, 0);
+    assert.strictEqual(builder.database, null);
+  });
+
+  it('should not pass arguments on to dependencies', () => {
+    container.factory('exporter', ({reportBuilder, format}) => ({ reportBuilder, format })).asTransient();
+
+    assert.throws(
+      () => container.resolveWith('exporter', { format: 'csv' }),
+      /Service 'reportId' not found/
+    );
+  });
+
+  it('should list arguments as dependency keys', () => {
+    container.factory('inspector', (deps) => ({
+      hasReportId: 'reportId' in deps,
+      keys: Object.keys(deps)
+    })).asTransient();
+
+    const result = container.resolveWith('inspector', { reportId: 7, database: {} });
+    assert.strictEqual(result.hasReportId, true);
+    assert.deepStrictEqual(result.keys.filter(key => key === 'reportId' || key === 'database'), ['reportId', 'database']);
+  });
+
+  it('should reject singleton and scoped services', () => {
+    container.singleton('sharedBuilder', ReportBuilder);
+    container.register(ReportBuilder, 'requestBuilder').asScoped();
+    const scope = container.createScope('request');
+
+    assert.throws(
+      () => container.resolveWith('sharedBuilder', { reportId: 1 }),
+      /Cannot pass runtime arguments to 'sharedBuilder': only transient services accept them \(it is singleton\)/
+    );
+    assert.throws(
+      () => container.resolveWith('requestBuilder', { reportId: 1 }, scope),
+      /only transient services accept them \(it is scoped\)/
+    );
+  });
+
+  it('should reject arguments that are not objects', () => {
+    assert.throws(() => container.resolveWith('reportBuilder', 42), /Runtime arguments must be a plain object/);
+    assert.throws(() => container.resolveWith('reportBuilder', null), /Runtime arguments must be a plain object/);
+    assert.throws(() => container.resolveWith('reportBuilder', [1]), /Runtime arguments must be a plain object/);
+  });
+
+  it('should block dangerous argument names', () => {
+    const args = JSON.parse('{"__proto__": {"polluted": true}}');
+    container.factory('unsafe', ({__proto__: proto}) => proto).asTransient();
+
+    assert.throws(() => container.resolveWith('unsafe', args), /Dangerous property access blocked/);
+  });
+
+  it('should create a new instance per factory call', () => {
+    const createReportBuilder = container.factoryFor('reportBuilder');
+
+    const first = createReportBuilder({ reportId: 1 });
+    const second = createReportBuilder({ reportId: 2 });
+    assert.ok(first instanceof ReportBuilder);
+    assert.deepStrictEqual([first.reportId, second.reportId], [1, 2]);
+  });
+
+  it('should inject the factory instead of the container', () => {
+    class ReportController {
+      constructor({createReportBuilder}) {
+        this.createReportBuilder = createReportBuilder;
+      }
+      show(reportId) {
+        return this.createReportBuilder({ reportId });
+      }
+    }
+
+    container.value('createReportBuilder', container.factoryFor('reportBuilder'));
+    container.singleton(ReportController);
+
+    const builder = container.resolve('reportController').show(9);
+    assert.strictEqual(builder.reportId, 9);
+    assert.strictEqual(builder.database.name, 'reports');
+  });
+
+  it('should resolve scoped dependencies in the given scope', () => {
+    let sessions = 0;
+    container.factory('session', () => ({ id: ++sessions })).asScoped();
+    container.factory('auditEntry', ({session, action}) => ({ session, action })).asTransient();
+    const scope = container.createScope('request');
+
+    const entry = container.factoryFor('auditEntry')({ action: 'login' }, 'request');
+    assert.strictEqual(entry.session, scope.resolve('session'));
+    assert.strictEqual(entry.action, 'login');
+  });
+
+  it('should pass arguments to resolve hooks', () => {
+    const seen = [];
+    container.hook('beforeResolve', ({name, args}) => seen.push({ name, args }));
+
+    container.resolveWith('reportBuilder', { reportId: 3 });
+    assert.deepStrictEqual(seen, [{ name: 'reportBuilder', args: { reportId: 3 } }]);
+  });
+
+  it('should fall back to parent containers', () => {
+    const child = container.createChild();
+    assert.strictEqual(child.resolveWith('reportBuilder', { reportId: 5 }).reportId, 5);
+  });
+
+});
@@ -0,0 +1,124 @@
+/**
+ * Scope expiry tests
+ * Scopes disposed after a time to live or an idle timeout
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Scope Expiry', () => {
+
+  let container;
+  let disposed;
+
+  beforeEach(() => {
+    container = createContainer();
+    disposed = [];
+    container.factory('session', () => ({ dispose: () => disposed.push('session') })).asScoped();
+  });
+
+  it('should track creation and last resolution times', async () => {
+    const scope = container.createScope('socket');
+    assert.strictEqual(scope.lastResolvedAt, scope.createdAt);
+
+    await wait(5);
+    scope.resolve('session');
+    assert.ok(scope.lastResolvedAt > scope.createdAt);
+  });
+
+  it('should dispose the scope once its ttl elapses', async () => {
+    const scope = container.createScope('socket', { ttlMs: 15 });
+    scope.resolve('session');
+
+    await wait(40);
+    assert.deepStrictEqual(disposed, ['session']);
+    assert.strictEqual(container._scopes.has('socket'), false);
+    assert.strictEqual(scope.isExpired(), true);
+  });
+
+  it('should keep an idle scope alive while it is used', async () => {
+    const scope = container.createScope('socket', { idleMs: 30 });
+    scope.resolve('session');
+
+    for (let i = 0; i < 4; i++) {
+      await wait(15);
+      scope.resolve('session');
+    }
+    assert.deepStrictEqual(disposed, []);
+
+    await wait(60);
+    assert.deepStrictEqual(disposed, ['session']);
+  });
+
+  it('should count ambient resolutions as use', async () => {
+    const scope = container.createScope('socket', { idleMs: 30 });
+
+    await wait(20);
+    container.runInScope(scope, () => container.resolve('session'));
+    await wait(20);
+    assert.strictEqual(scope.isExpired(), false);
+  });
+
+  it('should fire the scopeExpired hook with the reason', async () => {
+    const expired = [];
+    container.hook('scopeExpired', ({scope, scopeName, reason}) => expired.push([scope.name, scopeName, reason]));
+
+    container.createScope('short', { ttlMs: 10 });
+    container.createScope('idle', { idleMs: 10 });
+    await wait(40);
+
+    assert.deepStrictEqual(expired.sort(), [['idle', 'idle', 'idle'], ['short', 'short', 'ttl']]);
+  });
+
+  it('should reject resolution in an expired scope', async () => {
+    const scope = container.createScope('socket', { idleMs: 10 });
+    await wait(30);
+
+    assert.throws(() => scope.resolve('session'), /Scope 'socket' expired \(idleMs elapsed\) and has been disposed/);
+  });
+
+  it('should prune expired scopes on demand', () => {
+    const now = Date.now();
+    const stale = container.createScope('stale', { ttlMs: 1000 });
+    container.createScope('fresh', { ttlMs: 1000 });
+    container.createScope('forever');
+    stale.createdAt = now - 2000;
+
+    assert.deepStrictEqual(container.pruneScopes(), ['stale']);
+    assert.deepStrictEqual(Array.from(container._scopes.keys()), ['fresh', 'forever']);
+  });
+
+  it('should prune expired scopes before hitting maxScopes', () => {
+    const limited = createContainer({ maxScopes: 2 });
+    limited.createScope('a', { idleMs: 1000 }).lastResolvedAt -= 2000;
+    limited.createScope('b');
+
+    assert.doesNotThrow(() => limited.createScope('c'));
+    assert.throws(() => limited.createScope('d'), /Memory limit exceeded for scopes/);
+  });
+
+  it('should accept options without a name', () => {
+    const scope = container.createScope({ idleMs: 1000 });
+
+    assert.match(scope.name, /^scope-\d+$/);
+    assert.strictEqual(scope.idleMs, 1000);
+    assert.strictEqual(scope.ttlMs, null);
+  });
+
+  it('should not expire disposed scopes', async () => {
+    const expired = [];
+    container.hook('scopeExpired', ({scopeName}) => expired.push(scopeName));
+
+    container.createScope('socket', { ttlMs: 10 }).dispose();
+    await wait(30);
+    assert.deepStrictEqual(expired, []);
+  });
+
+  it('should reject invalid options', () => {
+    assert.throws(() => container.createScope('socket', { ttlMs: 0 }), /Scope ttlMs must be a positive number/);
+    assert.throws(() => container.createScope('socket', { idleMs: '5s' }), /Scope idleMs must be a positive number/);
+  });
+
+});
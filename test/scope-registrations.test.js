@@ -0,0 +1,165 @@
+/**
+ * Scope registration tests
+ * Values and services registered in a scope, shadowing the container's
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+class AuditLog {
+  constructor({user, traceId}) {
+    this.user = user;
+    this.traceId = traceId;
+  }
+}
+
+class SmtpMailer {
+  send() {
+    return 'smtp';
+  }
+}
+
+class NullMailer {
+  send() {
+    return 'null';
+  }
+}
+
+describe('Scope Registrations', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+    container.value('user', { name: 'anonymous' });
+    container.value('traceId', 'none');
+    container.register(AuditLog).asScoped();
+  });
+
+  it('should inject scope values into scoped services', () => {
+    const scope = container.createScope('request')
+      .value('user', { name: 'ada' })
+      .value('traceId', 'trace-1');
+
+    const log = scope.resolve('auditLog');
+    assert.deepStrictEqual([log.user.name, log.traceId], ['ada', 'trace-1']);
+  });
+
+  it('should inject scope values into transient services', () => {
+    container.factory('greeting', ({user}) => `hello ${user.name}`).asTransient();
+    const scope = container.createScope('request').value('user', { name: 'ada' });
+
+    assert.strictEqual(scope.resolve('greeting'), 'hello ada');
+    assert.strictEqual(container.resolve('greeting'), 'hello anonymous');
+  });
+
+  it('should not leak into other scopes or the container', () => {
+    const first = container.createScope('first').value('traceId', 'trace-1');
+    const second = container.createScope('second');
+
+    assert.strictEqual(first.resolve('traceId'), 'trace-1');
+    assert.strictEqual(second.resolve('traceId'), 'none');
+    assert.strictEqual(container.resolve('traceId'), 'none');
+    assert.deepStrictEqual(container.getServiceNames(), ['user', 'traceId', 'auditLog']);
+  });
+
+  it('should inject symbol tokens registered in the scope', async () => {
+    const USER = Symbol('user');
+    container.factory('greeting', ({[USER]: user}) => `hello ${user.name}`).dependsOn(USER).asTransient();
+    container.factory('visible', (deps) => [USER in deps, Reflect.ownKeys(deps).includes('locale')]).asTransient();
+    const scope = container.createScope('request').value(USER, { name: 'ada' }).value('locale', 'en');
+
+    assert.strictEqual(scope.resolve('greeting'), 'hello ada');
+    assert.strictEqual(await scope.resolveAsync('greeting'), 'hello ada');
+    assert.deepStrictEqual(scope.resolve('visible'), [true, true]);
+    assert.throws(() => container.resolve('greeting'), /Cannot read properties of undefined/);
+  });
+
+  it('should register values that only exist in the scope', () => {
+    container.factory('handler', ({req}) => req.url).asTransient();
+    const scope = container.createScope('request').value('req', { url: '/users' });
+
+    assert.strictEqual(scope.resolve('handler'), '/users');
+    assert.throws(() => container.resolve('handler'), /Service 'req' not found/);
+  });
+
+  it('should override services with scope.register()', () => {
+    container.register(SmtpMailer, 'mailer').asSingleton();
+    container.factory('notifier', ({mailer}) => mailer.send()).asTransient();
+    const scope = container.createScope('request');
+    scope.register(NullMailer, 'mailer').asTransient();
+
+    assert.strictEqual(scope.resolve('notifier'), 'null');
+    assert.strictEqual(container.resolve('notifier'), 'smtp');
+  });
+
+  it('should cache scope singletons in the scope', () => {
+    const disposed = [];
+    const scope = container.createScope('request');
+    scope.register(() => ({ dispose: () => disposed.push('cart') }), 'cart').asFactory().asSingleton();
+
+    const cart = scope.resolve('cart');
+    assert.strictEqual(scope.resolve('cart'), cart);
+    assert.strictEqual(container._instances.size, 0);
+
+    scope.dispose();
+    assert.deepStrictEqual(disposed, ['cart']);
+  });
+
+  it('should replace an instance cached before the override', () => {
+    const scope = container.createScope('request');
+    const before = scope.resolve('auditLog');
+    scope.register(() => ({ replaced: true }), 'auditLog').asFactory().asScoped();
+
+    assert.notStrictEqual(scope.resolve('auditLog'), before);
+    assert.strictEqual(scope.resolve('auditLog').replaced, true);
+  });
+
+  it('should be visible in child scopes', () => {
+    const request = container.createScope('request').value('user', { name: 'ada' });
+    const transaction = request.createChild('transaction').value('traceId', 'tx-1');
+
+    const log = transaction.resolve('auditLog');
+    assert.deepStrictEqual([log.user.name, log.traceId], ['ada', 'tx-1']);
+    assert.strictEqual(request.resolve('traceId'), 'none');
+  });
+
+  it('should resolve through the ambient scope and async resolution', async () => {
+    container.factory('profile', async ({user}) => ({ user })).asTransient();
+    const scope = container.createScope('request').value('user', { name: 'ada' });
+
+    const profile = await container.runInScope(scope, () => container.resolveAsync('profile'));
+    assert.strictEqual(profile.user.name, 'ada');
+  });
+
+  it('should satisfy optional dependencies', () => {
+    container.factory('tracer', ({span = 'root'}) => span).withOptional('span').asTransient();
+    const scope = container.createScope('request').value('span', 'span-7');
+
+    assert.strictEqual(scope.resolve('tracer'), 'span-7');
+    assert.strictEqual(container.resolve('tracer'), 'root');
+  });
+
+  it('should report singletons capturing scope registrations', () => {
+    const strict = createContainer({ lifetimeValidation: 'error' });
+    strict.factory('reporter', ({user}) => ({ user })).asSingleton();
+    const scope = strict.createScope('request').value('user', { name: 'ada' });
+
+    assert.throws(() => scope.resolve('reporter'), /Captive dependency detected: singleton reporter → value user/);
+  });
+
+  it('should reject container-only features', () => {
+    const scope = container.createScope('request');
+
+    assert.throws(() => scope.register(SmtpMailer, 'mailer').asMany().asSingleton(), /Scope registrations cannot use asMany\(\)/);
+    assert.throws(() => scope.register(SmtpMailer, 'mailer').asPooled(), /Scope registrations cannot use/);
+  });
+
+  it('should reject registrations in disposed scopes', () => {
+    const scope = container.createScope('request');
+    scope.dispose();
+
+    assert.throws(() => scope.value('user', {}), /Scope 'request' has been disposed/);
+  });
+
+});
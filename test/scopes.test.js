@@ -0,0 +1,261 @@
+/**
+ * Scope management tests
+ * Ambient scopes and scope lifecycles
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('Scope Management', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+  });
+
+  describe('Ambient scopes', () => {
+
+    class RequestContext {
+      constructor({}) {
+        this.id = Math.random();
+      }
+    }
+
+    beforeEach(() => {
+      container.register(RequestContext).asScoped();
+    });
+
+    it('should resolve scoped services from the ambient scope', () => {
+      const scope = container.createScope('request');
+
+      const context = container.runInScope(scope, () => container.resolve('requestContext'));
+      assert.strictEqual(context, scope.resolve('requestContext'));
+    });
+
+    it('should accept a scope name and pass the scope to the callback', () => {
+      const scope = container.createScope('request');
+
+      container.runInScope('request', (ambient) => {
+        assert.strictEqual(ambient, scope);
+        assert.strictEqual(container.currentScope(), scope);
+      });
+      assert.strictEqual(container.currentScope(), null);
+    });
+
+    it('should follow the async context across awaits', async () => {
+      const scope1 = container.createScope('request1');
+      const scope2 = container.createScope('request2');
+
+      const handle = async () => {
+        const before = container.resolve('requestContext');
+        await delay(5);
+        const after = await container.resolveAsync('requestContext');
+        return { before, after, scope: container.currentScope() };
+      };
+
+      const [first, second] = await Promise.all([
+        container.runInScope(scope1, handle),
+        container.runInScope(scope2, handle)
+      ]);
+
+      assert.strictEqual(first.before, first.after);
+      assert.strictEqual(second.before, second.after);
+      assert.notStrictEqual(first.before, second.before);
+      assert.strictEqual(first.scope, scope1);
+      assert.strictEqual(second.scope, scope2);
+    });
+
+    it('should inject the ambient scope through the dependency proxy', () => {
+      class RequestLogger {
+        constructor(deps) {
+          this.deps = deps;
+        }
+        requestId() {
+          return this.deps.requestContext.id;
+        }
+      }
+      container.singleton(RequestLogger);
+
+      const scope1 = container.createScope('request1');
+      const scope2 = container.createScope('request2');
+      const logger = container.resolve('requestLogger');
+
+      const id1 = container.runInScope(scope1, () => logger.requestId());
+      const id2 = container.runInScope(scope2, () => logger.requestId());
+
+      assert.strictEqual(id1, scope1.resolve('requestContext').id);
+      assert.strictEqual(id2, scope2.resolve('requestContext').id);
+    });
+
+    it('should prefer an explicit scope name over the ambient scope', () => {
+      const ambient = container.createScope('ambient');
+      const explicit = container.createScope('explicit');
+
+      const context = container.runInScope(ambient, () => container.resolve('requestContext', 'explicit'));
+      assert.strictEqual(context, explicit.resolve('requestContext'));
+      assert.strictEqual(ambient.getInstances().size, 0);
+    });
+
+    it('should report the ambient scope to resolve hooks', () => {
+      const scopeNames = [];
+      container.hook('beforeResolve', ({scopeName}) => scopeNames.push(scopeName));
+      container.createScope('request');
+
+      container.runInScope('request', () => container.resolve('requestContext'));
+      assert.deepStrictEqual(scopeNames, ['request']);
+    });
+
+    it('should throw when a scoped service is resolved without an active scope', async () => {
+      assert.throws(
+        () => container.resolve('requestContext'),
+        /Scoped service 'requestContext' requires an active scope/
+      );
+      await assert.rejects(
+        container.resolveAsync('requestContext'),
+        /Scoped service 'requestContext' requires an active scope/
+      );
+    });
+
+    it('should validate its arguments', () => {
+      assert.throws(() => container.runInScope('missing', () => {}), /Scope 'missing' not found/);
+      assert.throws(() => container.runInScope(42, () => {}), /runInScope requires a Scope/);
+      container.createScope('request');
+      assert.throws(() => container.runInScope('request'), /runInScope requires a function/);
+    });
+
+  });
+
+  describe('Anonymous and auto-disposing scopes', () => {
+
+    let disposed;
+
+    beforeEach(() => {
+      disposed = [];
+      container.factory('connection', () => ({
+        dispose: () => disposed.push('connection')
+      })).asScoped();
+    });
+
+    it('should generate unique scope IDs when no name is given', () => {
+      const first = container.createScope();
+      const second = container.createScope();
+
+      assert.strictEqual(typeof first.name, 'string');
+      assert.notStrictEqual(first.name, second.name);
+      assert.strictEqual(container.scope(first.name), first);
+    });
+
+    it('should skip generated IDs that are already taken', () => {
+      container.createScope('scope-1');
+      const scope = container.createScope();
+      assert.notStrictEqual(scope.name, 'scope-1');
+    });
+
+    it('should unregister the scope on dispose', () => {
+      const scope = container.createScope('request');
+      scope.resolve('connection');
+
+      scope.dispose();
+
+      assert.deepStrictEqual(disposed, ['connection']);
+      assert.throws(() => container.scope('request'), /Scope 'request' not found/);
+      assert.doesNotThrow(() => container.createScope('request'));
+    });
+
+    it('should not leak scopes up to maxScopes', () => {
+      const limited = createContainer({ maxScopes: 3 });
+      for (let i = 0; i < 10; i++) {
+        limited.createScope().dispose();
+      }
+      assert.strictEqual(limited._scopes.size, 0);
+    });
+
+    it('should refuse resolution in a disposed scope', () => {
+      const scope = container.createScope();
+      scope.dispose();
+
+      assert.throws(() => scope.resolve('connection'), /has been disposed/);
+      assert.throws(() => container.runInScope(scope, () => container.resolve('connection')), /has been disposed/);
+    });
+
+    it('should dispose only once', () => {
+      const scope = container.createScope();
+      scope.resolve('connection');
+
+      scope.dispose();
+      scope.dispose();
+      assert.deepStrictEqual(disposed, ['connection']);
+    });
+
+    it('should not unregister a newer scope reusing the name', () => {
+      const old = container.createScope('request');
+      old.dispose();
+      const fresh = container.createScope('request');
+
+      old.dispose();
+      assert.strictEqual(container.scope('request'), fresh);
+    });
+
+    it('should await async disposers with disposeAsync()', async () => {
+      container.factory('stream', () => ({
+        close: async () => {
+          await delay(5);
+          disposed.push('stream');
+        }
+      })).asScoped();
+
+      const scope = container.createScope();
+      scope.resolve('connection');
+      scope.resolve('stream');
+
+      await scope.disposeAsync();
+      assert.deepStrictEqual(disposed, ['stream', 'connection']);
+    });
+
+    it('should implement Symbol.dispose and Symbol.asyncDispose', async function () {
+      if (typeof Symbol.dispose !== 'symbol' || typeof Symbol.asyncDispose !== 'symbol') {
+        this.skip();
+      }
+
+      const syncScope = container.createScope();
+      syncScope.resolve('connection');
+      syncScope[Symbol.dispose]();
+
+      const asyncScope = container.createScope();
+      asyncScope.resolve('connection');
+      await asyncScope[Symbol.asyncDispose]();
+
+      assert.deepStrictEqual(disposed, ['connection', 'connection']);
+      assert.strictEqual(container._scopes.size, 0);
+    });
+
+    it('should run withScope() in an ambient scope and dispose it', async () => {
+      let seen;
+      const result = await container.withScope(async (scope) => {
+        await delay(1);
+        seen = scope;
+        assert.strictEqual(container.currentScope(), scope);
+        return container.resolve('connection') === scope.resolve('connection');
+      });
+
+      assert.strictEqual(result, true);
+      assert.deepStrictEqual(disposed, ['connection']);
+      assert.strictEqual(container._scopes.has(seen.name), false);
+    });
+
+    it('should dispose the withScope() scope even when the callback throws', async () => {
+      await assert.rejects(container.withScope((scope) => {
+        scope.resolve('connection');
+        throw new Error('handler failed');
+      }), /handler failed/);
+
+      assert.deepStrictEqual(disposed, ['connection']);
+      assert.strictEqual(container._scopes.size, 0);
+    });
+
+  });
+
+});
@@ -0,0 +1,130 @@
+/**
+ * Shutdown tests
+ * Disposing scopes and singletons with shutdown() and on process signals
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Graceful Shutdown', () => {
+
+  let container;
+  let disposed;
+  let originalExit;
+  let originalWarn;
+  let exitCodes;
+
+  const disposable = (name, dispose = () => { disposed.push(name); }) => () => ({ dispose });
+
+  beforeEach(() => {
+    container = createContainer();
+    disposed = [];
+    exitCodes = [];
+    originalExit = process.exit;
+    originalWarn = console.warn;
+    process.exit = (code) => { exitCodes.push(code); };
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    container.disableShutdownHooks();
+    process.exit = originalExit;
+    console.warn = originalWarn;
+  });
+
+  it('should dispose open scopes before singletons', async () => {
+    container.factory('database', disposable('database')).asSingleton();
+    container.factory('session', disposable('session')).asScoped();
+    container.createScope('first').resolve('session');
+    container.createScope('second').resolve('session');
+    container.resolve('database');
+
+    await container.shutdown();
+    assert.deepStrictEqual(disposed, ['session', 'session', 'database']);
+    assert.strictEqual(container._scopes.size, 0);
+  });
+
+  it('should dispose singletons in reverse dependency order', async () => {
+    container.factory('database', disposable('database')).asSingleton();
+    container.factory('repository', ({database}) => ({ database, dispose: () => disposed.push('repository') })).asSingleton();
+    container.resolve('repository');
+
+    await container.shutdown();
+    assert.deepStrictEqual(disposed, ['repository', 'database']);
+  });
+
+  it('should report each failure through disposeError hooks', async () => {
+    const failures = [];
+    container.hook('disposeError', ({name, scopeName, error}) => failures.push([name, scopeName, error.message]));
+    container.factory('database', disposable('database', () => { throw new Error('busy'); })).asSingleton();
+    container.factory('session', disposable('session', async () => { throw new Error('locked'); })).asScoped();
+    container.createScope('request').resolve('session');
+    container.resolve('database');
+
+    await assert.rejects(container.shutdown(), AggregateError);
+    assert.deepStrictEqual(failures, [
+      ['session', 'request', 'locked'],
+      ['database', undefined, 'busy']
+    ]);
+  });
+
+  it('should time out on slow disposers', async () => {
+    container.factory('queue', disposable('queue', () => wait(200))).asSingleton();
+    container.resolve('queue');
+
+    await assert.rejects(container.shutdown({ timeoutMs: 20 }), /Shutdown timed out after 20ms/);
+  });
+
+  it('should shut down and exit on a signal', async () => {
+    container.factory('database', disposable('database')).asSingleton();
+    container.resolve('database');
+    container.enableShutdownHooks({ signals: ['SIGUSR2'], exitCode: 3 });
+
+    process.emit('SIGUSR2', 'SIGUSR2');
+    await wait(10);
+
+    assert.deepStrictEqual(disposed, ['database']);
+    assert.deepStrictEqual(exitCodes, [3]);
+    assert.throws(() => container.resolve('database'), /Container has been disposed/);
+  });
+
+  it('should exit with 1 when shutdown fails', async () => {
+    container.factory('database', disposable('database', () => { throw new Error('busy'); })).asSingleton();
+    container.resolve('database');
+    container.enableShutdownHooks({ signals: ['SIGUSR2'] });
+
+    process.emit('SIGUSR2', 'SIGUSR2');
+    await wait(10);
+
+    assert.deepStrictEqual(exitCodes, [1]);
+  });
+
+  it('should stop listening after the first signal', async () => {
+    const before = process.listenerCount('SIGUSR2');
+    container.enableShutdownHooks({ signals: ['SIGUSR2'] });
+    assert.strictEqual(process.listenerCount('SIGUSR2'), before + 1);
+
+    process.emit('SIGUSR2', 'SIGUSR2');
+    assert.strictEqual(process.listenerCount('SIGUSR2'), before);
+    await wait(10);
+    assert.deepStrictEqual(exitCodes, [0]);
+  });
+
+  it('should replace listeners when enabled twice and remove them on request', () => {
+    const before = process.listenerCount('SIGUSR2');
+    container.enableShutdownHooks({ signals: ['SIGUSR2'] });
+    container.enableShutdownHooks({ signals: ['SIGUSR2'] });
+    assert.strictEqual(process.listenerCount('SIGUSR2'), before + 1);
+
+    container.disableShutdownHooks();
+    assert.strictEqual(process.listenerCount('SIGUSR2'), before);
+  });
+
+  it('should reject invalid options', async () => {
+    assert.throws(() => container.enableShutdownHooks({ signals: [] }), /Shutdown signals must be a non-empty array/);
+    await assert.rejects(container.shutdown({ timeoutMs: -1 }), /Shutdown timeout must be a positive number/);
+  });
+
+});
@@ -0,0 +1,134 @@
+/**
+ * Startup tests
+ * Eager singletons resolved and initialized by container.start()
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Eager Startup', () => {
+
+  let container;
+  let events;
+
+  class Database {
+    constructor({}) {
+      events.push('create database');
+    }
+
+    async onInit() {
+      await wait(5);
+      this.connected = true;
+      events.push('init database');
+    }
+  }
+
+  class Cache {
+    constructor({database}) {
+      events.push('create cache');
+      this.database = database;
+    }
+
+    init() {
+      events.push('init cache');
+    }
+  }
+
+  beforeEach(() => {
+    container = createContainer();
+    events = [];
+  });
+
+  it('should resolve eager singletons and await their initializers', async () => {
+    container.register(Database).eager().asSingleton();
+
+    await container.start();
+    assert.strictEqual(container.resolve('database').connected, true);
+    assert.deepStrictEqual(events, ['create database', 'init database']);
+  });
+
+  it('should initialize dependencies first', async () => {
+    container.register(Cache).eager().asSingleton();
+    container.register(Database).eager().asSingleton();
+
+    const report = await container.start();
+    assert.deepStrictEqual(events, ['create database', 'init database', 'create cache', 'init cache']);
+    assert.deepStrictEqual(report.services.map(service => service.name), ['database', 'cache']);
+    assert.strictEqual(container.resolve('cache').database.connected, true);
+  });
+
+  it('should leave services that are not eager alone', async () => {
+    container.singleton(Database);
+    container.register(Cache).eager().asSingleton();
+
+    await container.start();
+    assert.deepStrictEqual(events, ['create database', 'create cache', 'init cache']);
+  });
+
+  it('should report how long each service took', async () => {
+    container.register(Database).eager().asSingleton();
+
+    const report = await container.start();
+    assert.strictEqual(report.services.length, 1);
+    assert.strictEqual(report.services[0].name, 'database');
+    assert.ok(report.services[0].durationMs >= 4);
+    assert.ok(report.durationMs >= report.services[0].durationMs);
+  });
+
+  it('should name the service that broke startup', async () => {
+    container.factory('queue', () => ({
+      onInit: async () => { throw new Error('connection refused'); }
+    })).eager().asSingleton();
+
+    await assert.rejects(container.start(), (error) => {
+      assert.strictEqual(error.message, "Startup failed in 'queue': connection refused");
+      assert.strictEqual(error.cause.message, 'connection refused');
+      return true;
+    });
+  });
+
+  it('should name the service that broke creation', async () => {
+    container.register(Cache).eager().asSingleton();
+
+    await assert.rejects(container.start(), /Startup failed in 'cache': Service 'database' not found/);
+  });
+
+  it('should time out naming the service being started', async () => {
+    container.factory('search', () => ({ onInit: () => wait(200) })).eager().asSingleton();
+
+    await assert.rejects(
+      container.start({ timeoutMs: 20 }),
+      /Startup timed out after 20ms while starting 'search'/
+    );
+  });
+
+  it('should run each initializer once', async () => {
+    container.register(Database).eager().asSingleton();
+
+    await container.start();
+    await container.start();
+    assert.deepStrictEqual(events, ['create database', 'init database']);
+  });
+
+  it('should await async factories', async () => {
+    container.factory('connection', async () => ({ open: true })).eager().asSingleton();
+
+    await container.start();
+    assert.deepStrictEqual(container.resolve('connection'), { open: true });
+  });
+
+  it('should only accept singletons', () => {
+    assert.throws(
+      () => container.register(Database).eager().asScoped(),
+      /Only singletons can be eager: 'database' is scoped/
+    );
+    assert.throws(() => container.register(Database).eager().asTransient(), /is transient/);
+  });
+
+  it('should reject invalid timeouts', async () => {
+    await assert.rejects(container.start({ timeoutMs: 0 }), /Startup timeout must be a positive number/);
+  });
+
+});
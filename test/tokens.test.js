@@ -0,0 +1,157 @@
+/**
+ * Service token tests
+ * Registrations keyed by Symbol or by the class constructor itself
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+const LOGGER = Symbol('logger');
+
+class UserService {
+  constructor({[LOGGER]: logger}) {
+    this.logger = logger;
+  }
+}
+
+class UserController {
+  constructor({users, logger}) {
+    this.users = users;
+    this.logger = logger;
+  }
+}
+
+describe('Service Tokens', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+    container.value(LOGGER, { name: 'logger' });
+  });
+
+  it('should register and resolve symbol tokens', () => {
+    assert.strictEqual(container.resolve(LOGGER).name, 'logger');
+    assert.strictEqual(container.has(LOGGER), true);
+  });
+
+  it('should keep symbols with the same description apart', () => {
+    const other = Symbol('logger');
+    container.value(other, { name: 'other' });
+
+    assert.strictEqual(container.resolve(LOGGER).name, 'logger');
+    assert.strictEqual(container.resolve(other).name, 'other');
+  });
+
+  it('should keep asMany() entries of look-alike tokens apart', () => {
+    const A = Symbol('db');
+    const B = Symbol('db');
+    const classes = [class Plugin {}, class Plugin {}];
+    container.factory(A, () => 'A0').asSingleton();
+    container.factory(A, () => 'A1').asMany().asSingleton();
+    container.factory(B, () => 'B0').asSingleton();
+    container.factory(B, () => 'B1').asMany().asSingleton();
+    classes.forEach((Plugin, i) => {
+      container.factory(Plugin, () => `P${i}-0`).asSingleton();
+      container.factory(Plugin, () => `P${i}-1`).asMany().asSingleton();
+    });
+
+    assert.deepStrictEqual(container.resolveMany(A), ['A0', 'A1']);
+    assert.deepStrictEqual(container.resolveMany(B), ['B0', 'B1']);
+    assert.deepStrictEqual(classes.map(Plugin => container.resolveMany(Plugin)), [['P0-0', 'P0-1'], ['P1-0', 'P1-1']]);
+  });
+
+  it('should register and resolve class tokens', () => {
+    container.register(UserService, UserService).asSingleton();
+
+    const service = container.resolve(UserService);
+    assert.ok(service instanceof UserService);
+    assert.strictEqual(container.resolve(UserService), service);
+    assert.strictEqual(container.has('userService'), false);
+  });
+
+  it('should not mix class tokens with inferred names', () => {
+    container.register(UserService, UserService).asSingleton();
+    container.singleton(UserService);
+
+    assert.notStrictEqual(container.resolve(UserService), container.resolve('userService'));
+  });
+
+  it('should inject symbol tokens through computed destructuring keys', () => {
+    container.register(UserService, UserService).asSingleton();
+    assert.strictEqual(container.resolve(UserService).logger.name, 'logger');
+  });
+
+  it('should leave unregistered symbols undefined in the dependency proxy', () => {
+    container.factory('inspector', (deps) => ({
+      tag: deps[Symbol.toStringTag],
+      iterator: deps[Symbol.iterator]
+    })).asTransient();
+
+    assert.deepStrictEqual(container.resolve('inspector'), { tag: undefined, iterator: undefined });
+  });
+
+  it('should map dependency names to tokens with withTokens()', () => {
+    container.register(UserService, UserService).asSingleton();
+    container.register(UserController).withTokens({ users: UserService, logger: LOGGER }).asTransient();
+
+    const controller = container.resolve('userController');
+    assert.strictEqual(controller.users, container.resolve(UserService));
+    assert.strictEqual(controller.logger.name, 'logger');
+  });
+
+  it('should resolve tokens asynchronously', async () => {
+    const DB = Symbol('db');
+    container.factory(DB, async () => ({ connected: true })).asSingleton();
+    container.factory('repository', async ({db}) => ({ db })).withTokens({ db: DB }).asSingleton();
+
+    const repository = await container.resolveAsync('repository');
+    assert.strictEqual(repository.db, await container.resolveAsync(DB));
+  });
+
+  it('should name tokens in error messages', () => {
+    class PaymentService {}
+
+    assert.throws(() => container.resolve(Symbol('mailer')), /Service 'Symbol\(mailer\)' not found/);
+    assert.throws(() => container.resolve(PaymentService), /Service 'PaymentService' not found/);
+  });
+
+  it('should reject invalid tokens', () => {
+    assert.throws(() => container.resolve({}), /Service name must be a non-empty string, a symbol or a class/);
+    assert.throws(() => container.resolve(''), /Service name must be a non-empty string/);
+    assert.throws(
+      () => container.register(UserController).withTokens({ users: 42 }),
+      /Service name must be a non-empty string, a symbol or a class/
+    );
+  });
+
+  it('should list tokens in discovery methods', () => {
+    container.register(UserService, UserService).withTag('service').asSingleton();
+
+    assert.deepStrictEqual(container.getServiceNames(), [LOGGER, UserService]);
+    assert.deepStrictEqual(container.getServiceNamesByTags(['service']), [UserService]);
+  });
+
+  it('should validate declared token dependencies', () => {
+    container.register(UserService, UserService).dependsOn([LOGGER]).asSingleton();
+    container.register(UserController)
+      .withTokens({ users: UserService, logger: Symbol('missing') })
+      .asSingleton();
+
+    const report = container.validate();
+    assert.deepStrictEqual(report.unanalyzed, []);
+    assert.deepStrictEqual(report.missing, [{ service: 'userController', dependency: 'logger' }]);
+  });
+
+  it('should name tokens in disposal errors', async () => {
+    const POOL = Symbol('pool');
+    container.factory(POOL, () => ({ close: () => { throw new Error('busy'); } })).asSingleton();
+    container.resolve(POOL);
+
+    await assert.rejects(container.dispose(), (error) => {
+      assert.match(error.errors[0].message, /Failed to dispose 'Symbol\(pool\)': busy/);
+      return true;
+    });
+  });
+
+});
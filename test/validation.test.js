@@ -0,0 +1,166 @@
+/**
+ * Static container verification tests
+ * container.validate() walks registrations without instantiating them
+ */
+
+import assert from 'assert';
+import { createContainer } from '../index.js';
+
+describe('Container Validation', () => {
+
+  let container;
+
+  beforeEach(() => {
+    container = createContainer();
+  });
+
+  it('should report a valid container', () => {
+    class UserRepository {
+      constructor({database}) {
+        this.database = database;
+      }
+    }
+
+    container
+      .value('config', {})
+      .factory('database', ({config}) => ({ config })).asSingleton();
+    container.singleton(UserRepository);
+
+    assert.deepStrictEqual(container.validate(), {
+      valid: true,
+      missing: [],
+      cycles: [],
+      captive: [],
+      unknownDecorators: [],
+      emptyTags: [],
+      unanalyzed: []
+    });
+  });
+
+  it('should not instantiate application code', () => {
+    let calls = 0;
+    class Service {
+      constructor({database}) {
+        calls++;
+        this.database = database;
+      }
+    }
+
+    container.factory('database', () => { calls++; return {}; }).asSingleton();
+    container.singleton(Service);
+
+    container.validate();
+    assert.strictEqual(calls, 0);
+  });
+
+  it('should report misspelled dependencies', () => {
+    class UserService {
+      constructor({userRepositroy, logger}) {
+        this.repository = userRepositroy;
+        this.logger = logger;
+      }
+    }
+
+    container.value('logger', {});
+    container.value('userRepository', {});
+    container.singleton(UserService);
+
+    const report = container.validate();
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(report.missing, [{ service: 'userService', dependency: 'userRepositroy' }]);
+  });
+
+  it('should parse defaults, renames and inherited constructors', () => {
+    class Base {
+      constructor({logger, metrics: stats, config = {}}) {
+        this.logger = logger;
+        this.stats = stats;
+        this.config = config;
+      }
+    }
+    class Derived extends Base {}
+
+    container.singleton(Derived);
+
+    const report = container.validate();
+    assert.deepStrictEqual(
+      report.missing.map(entry => entry.dependency),
+      ['logger', 'metrics', 'config']
+    );
+  });
+
+  it('should use dependencies declared with dependsOn()', () => {
+    class DynamicService {
+      constructor(deps) {
+        this.deps = deps;
+      }
+    }
+
+    container.register(DynamicService).asSingleton();
+    container.register(DynamicService, 'declaredService').dependsOn(['mailer']).asSingleton();
+
+    const report = container.validate();
+    assert.deepStrictEqual(report.unanalyzed, ['dynamicService']);
+    assert.deepStrictEqual(report.missing, [{ service: 'declaredService', dependency: 'mailer' }]);
+  });
+
+  it('should report cycles', () => {
+    container.factory('a', ({b}) => b).asSingleton();
+    container.factory('b', ({c}) => c).asSingleton();
+    container.factory('c', ({a}) => a).asSingleton();
+    container.factory('d', ({d}) => d).asTransient();
+
+    const report = container.validate();
+    assert.deepStrictEqual(report.cycles, [['a', 'b', 'c', 'a'], ['d', 'd']]);
+    assert.strictEqual(report.valid, false);
+  });
+
+  it('should report captive lifecycles', () => {
+    class RequestContext {
+      constructor({}) {}
+    }
+    class UserService {
+      constructor({requestContext}) {
+        this.requestContext = requestContext;
+      }
+    }
+
+    container.register(RequestContext).asScoped();
+    container.singleton(UserService);
+
+    const report = container.validate();
+    assert.deepStrictEqual(report.captive, [{
+      service: 'userService',
+      dependency: 'requestContext',
+      chain: 'singleton userService → scoped requestContext'
+    }]);
+  });
+
+  it('should report unknown decorator services', () => {
+    container.value('loggingDecorator', { decorate: (instance) => instance });
+    container.factory('userService', () => ({}))
+      .decorateWith(['loggingDecorator', 'timingDecorator'])
+      .asSingleton();
+
+    const report = container.validate();
+    assert.deepStrictEqual(report.unknownDecorators, [{ service: 'userService', decorator: 'timingDecorator' }]);
+  });
+
+  it('should report required tags with no services', () => {
+    container.register(class OrderRepository {}, 'orderRepository').withTag('repository').asSingleton();
+
+    const report = container.validate({ tags: ['repository', 'plugin'] });
+    assert.deepStrictEqual(report.emptyTags, ['plugin']);
+    assert.strictEqual(report.valid, false);
+  });
+
+  it('should resolve dependencies from parent containers', () => {
+    const root = createContainer();
+    root.value('logger', {});
+    const child = root.createChild();
+    child.factory('tenantService', ({logger}) => ({ logger })).asSingleton();
+
+    assert.strictEqual(child.validate().valid, true);
+  });
+
+});